@@ -0,0 +1,23 @@
+const path = require("path");
+
+// Attachment blobs go to GridFS by default. "local" keeps them on disk
+// under ATTACHMENT_DIR instead, which only works while every worker shares
+// that directory.
+const ATTACHMENT_STORE =
+  process.env.ATTACHMENT_STORE === "local" ? "local" : "gridfs";
+
+const ATTACHMENT_DIR =
+  process.env.ATTACHMENT_DIR || path.join(__dirname, "../../data/attachments");
+
+const MAX_ATTACHMENT_SIZE =
+  parseInt(process.env.MAX_ATTACHMENT_SIZE, 10) || 100 * 1024 * 1024;
+
+module.exports = {
+  ATTACHMENT_STORE,
+  ATTACHMENT_DIR,
+  MAX_ATTACHMENT_SIZE,
+  CHUNK_SIZE: 1024 * 1024,
+  MAX_ATTACHMENTS_PER_MESSAGE: 10,
+  // Uploads that are never completed, or never sent, are removed after this
+  UPLOAD_TTL_SECONDS: 24 * 60 * 60,
+};
@@ -1,4 +1,6 @@
 module.exports = {
     JWT_SECRET: process.env.JWT_SECRET || "your-secret-key",
-    JWT_EXPIRATION: "24h"
+    // Access tokens are short-lived; clients renew them with a refresh token
+    JWT_EXPIRATION: process.env.JWT_EXPIRATION || "15m",
+    REFRESH_TOKEN_TTL_SECONDS: 30 * 24 * 60 * 60
   };
\ No newline at end of file
@@ -0,0 +1,17 @@
+// "plain" reactions are short emoji codes the server can group and count.
+// "encrypted" reactions are opaque client ciphertext, so every reactor's
+// payload stays in a group of its own.
+const REACTION_MODE =
+  process.env.REACTION_MODE === "encrypted" ? "encrypted" : "plain";
+
+// How long a send's Idempotency-Key is remembered
+const IDEMPOTENCY_WINDOW_SECONDS =
+  parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS, 10) || 24 * 60 * 60;
+
+module.exports = {
+  REACTION_MODE,
+  MAX_REACTION_LENGTH: REACTION_MODE === "encrypted" ? 1024 : 32,
+  MAX_REACTIONS_PER_USER: 20,
+  IDEMPOTENCY_WINDOW_SECONDS,
+  MAX_IDEMPOTENCY_KEY_LENGTH: 255,
+};
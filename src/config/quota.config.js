@@ -0,0 +1,13 @@
+// Per-user quotas, each overridable through the environment
+const limit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+module.exports = {
+  MESSAGES_PER_DAY: limit("QUOTA_MESSAGES_PER_DAY", 10000),
+  STORED_BYTES: limit("QUOTA_STORED_BYTES", 1024 * 1024 * 1024),
+  ATTACHMENT_BYTES: limit("QUOTA_ATTACHMENT_BYTES", 5 * 1024 * 1024 * 1024),
+  RECIPIENTS_PER_MESSAGE: limit("QUOTA_RECIPIENTS_PER_MESSAGE", 1000),
+  MAX_MESSAGE_BYTES: 15 * 1024 * 1024,
+};
@@ -0,0 +1,108 @@
+const { createClient } = require("redis");
+const logger = require("../utils/logger");
+
+// Redis is optional; without REDIS_URL every shared store falls back to
+// MongoDB and workers talk through the cluster master.
+const REDIS_URL = process.env.REDIS_URL || null;
+
+// How long a caller waits for Redis to come up before using the fallback
+const REDIS_CONNECT_TIMEOUT =
+  parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS, 10) || 2000;
+
+let client = null;
+let firstConnection = null;
+const readyListeners = [];
+
+// Resolves when the promise settles or the timeout passes, whichever is
+// first; it never rejects
+const settleWithin = (promise, ms) =>
+  Promise.race([
+    promise.catch(() => {}),
+    new Promise((resolve) => setTimeout(resolve, ms).unref()),
+  ]);
+
+// One client per process. It keeps reconnecting in the background, but is
+// only handed out while it is ready, and commands fail at once instead of
+// queueing while it is down, so an outage never stalls a request.
+const getRedisClient = async () => {
+  if (!REDIS_URL) {
+    return null;
+  }
+
+  if (!client) {
+    const connecting = createClient({
+      url: REDIS_URL,
+      disableOfflineQueue: true,
+      socket: { connectTimeout: REDIS_CONNECT_TIMEOUT },
+    });
+    connecting.on("error", (err) =>
+      logger.error("Redis client error:", err.message)
+    );
+    connecting.on("ready", () => {
+      for (const listener of readyListeners) {
+        Promise.resolve()
+          .then(() => listener(connecting))
+          .catch((err) =>
+            logger.error("Redis ready handler error:", err.message)
+          );
+      }
+    });
+
+    client = connecting;
+    firstConnection = settleWithin(
+      connecting.connect().catch((err) => {
+        // The client gave up; the next caller starts a new one
+        if (client === connecting) {
+          client = null;
+        }
+        throw err;
+      }),
+      REDIS_CONNECT_TIMEOUT
+    );
+  }
+
+  const current = client;
+  await firstConnection;
+
+  if (!current.isReady) {
+    throw new Error("Redis is not connected");
+  }
+
+  return current;
+};
+
+// Runs the listener each time the shared client connects or reconnects, so
+// a store can give Redis the writes it missed while it was down
+const onRedisReady = (listener) => {
+  readyListeners.push(listener);
+};
+
+// Pub/sub needs a dedicated connection
+const createRedisSubscriber = async () => {
+  const redis = await getRedisClient();
+  if (!redis) {
+    return null;
+  }
+
+  const subscriber = redis.duplicate();
+  subscriber.on("error", (err) =>
+    logger.error("Redis subscriber error:", err.message)
+  );
+  await settleWithin(subscriber.connect(), REDIS_CONNECT_TIMEOUT);
+
+  if (!subscriber.isReady) {
+    if (subscriber.isOpen) {
+      subscriber.destroy();
+    }
+    throw new Error("Redis subscriber could not connect");
+  }
+
+  return subscriber;
+};
+
+module.exports = {
+  REDIS_URL,
+  getRedisClient,
+  onRedisReady,
+  createRedisSubscriber,
+};
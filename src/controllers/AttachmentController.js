@@ -0,0 +1,239 @@
+const mongoose = require("mongoose");
+const logger = require("../utils/logger");
+const attachmentRepository = require("../repositories/AttachmentRepository");
+const messageRepository = require("../repositories/MessageRepository");
+const messageService = require("../services/MessageService");
+const attachmentStore = require("../storage");
+const { parseRange } = require("../utils/range");
+const { MAX_ATTACHMENT_SIZE } = require("../config/attachment.config");
+const { ATTACHMENT_BYTES } = require("../config/quota.config");
+
+class AttachmentController {
+  toUploadState(attachment) {
+    const received = new Set(attachment.receivedChunks || []);
+    const missingChunks = [];
+    for (let index = 0; index < attachment.totalChunks; index++) {
+      if (!received.has(index)) missingChunks.push(index);
+    }
+
+    return {
+      attachmentId: attachment._id,
+      size: attachment.size,
+      chunkSize: attachment.chunkSize,
+      totalChunks: attachment.totalChunks,
+      status: attachment.status,
+      missingChunks,
+      expiresAt: attachment.expiresAt,
+    };
+  }
+
+  // The uploader can always read an attachment; anyone else needs a
+  // message that references it and that they can see
+  async canRead(attachment, username) {
+    if (attachment.owner === username) {
+      return true;
+    }
+
+    const attachmentId = attachment._id.toString();
+    await messageService.ensurePersisted((message) =>
+      (message.attachments || []).some(
+        (entry) => entry.attachmentId.toString() === attachmentId
+      )
+    );
+
+    return Boolean(
+      await messageRepository.hasAttachmentFor(attachment._id, username)
+    );
+  }
+
+  async createUpload(req, res) {
+    try {
+      const { size } = req.body;
+
+      if (!Number.isInteger(size) || size < 1 || size > MAX_ATTACHMENT_SIZE) {
+        return res.status(400).json({
+          message: `size must be a whole number of bytes up to ${MAX_ATTACHMENT_SIZE}`,
+        });
+      }
+
+      const usedBytes = await attachmentRepository.totalBytes(
+        req.user.username
+      );
+      if (usedBytes + size > ATTACHMENT_BYTES) {
+        return res.status(413).json({
+          message: `Attachment quota of ${ATTACHMENT_BYTES} bytes exceeded`,
+          attachmentBytes: usedBytes,
+        });
+      }
+
+      const attachment = await attachmentRepository.createUpload(
+        req.user.username,
+        size
+      );
+
+      return res.status(201).json(this.toUploadState(attachment));
+    } catch (error) {
+      logger.error("Attachment upload creation error:", error);
+      return res.status(500).json({ message: "Failed to create upload" });
+    }
+  }
+
+  async getUpload(req, res) {
+    try {
+      const { attachmentId } = req.params;
+
+      if (!mongoose.isValidObjectId(attachmentId)) {
+        return res.status(400).json({ message: "Invalid attachment id" });
+      }
+
+      const attachment = await attachmentRepository.findById(attachmentId);
+      if (!attachment || attachment.owner !== req.user.username) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+
+      return res.status(200).json(this.toUploadState(attachment));
+    } catch (error) {
+      logger.error("Attachment upload status error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve upload status" });
+    }
+  }
+
+  // Chunks can be sent in any order and retried; every chunk but the last
+  // must be exactly chunkSize bytes
+  async uploadChunk(req, res) {
+    try {
+      const { attachmentId } = req.params;
+      const index = Number(req.params.index);
+
+      if (!mongoose.isValidObjectId(attachmentId)) {
+        return res.status(400).json({ message: "Invalid attachment id" });
+      }
+
+      const attachment = await attachmentRepository.findById(attachmentId);
+      if (!attachment || attachment.owner !== req.user.username) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+
+      if (
+        !Number.isInteger(index) ||
+        index < 0 ||
+        index >= attachment.totalChunks
+      ) {
+        return res.status(400).json({
+          message: `Chunk index must be between 0 and ${
+            attachment.totalChunks - 1
+          }`,
+        });
+      }
+
+      if (attachment.status === "complete") {
+        return res.status(200).json(this.toUploadState(attachment));
+      }
+
+      const expectedLength =
+        index === attachment.totalChunks - 1
+          ? attachment.size - index * attachment.chunkSize
+          : attachment.chunkSize;
+
+      if (!Buffer.isBuffer(req.body) || req.body.length !== expectedLength) {
+        return res.status(400).json({
+          message: `Chunk ${index} must be ${expectedLength} bytes of application/octet-stream`,
+        });
+      }
+
+      await attachmentStore.writeChunk(
+        attachment._id,
+        index,
+        req.body,
+        attachment.chunkSize
+      );
+
+      let updated = await attachmentRepository.addChunk(attachment._id, index);
+      if (!updated) {
+        updated = await attachmentRepository.findById(attachment._id);
+      }
+      if (!updated) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+
+      if (
+        updated.status === "uploading" &&
+        updated.receivedChunks.length === updated.totalChunks
+      ) {
+        await attachmentStore.finalize(updated._id, {
+          size: updated.size,
+          chunkSize: updated.chunkSize,
+        });
+        await attachmentRepository.markComplete(updated._id);
+        updated.status = "complete";
+      }
+
+      return res.status(200).json(this.toUploadState(updated));
+    } catch (error) {
+      logger.error("Attachment chunk upload error:", error);
+      return res.status(500).json({ message: "Failed to store chunk" });
+    }
+  }
+
+  async downloadAttachment(req, res) {
+    try {
+      const { attachmentId } = req.params;
+
+      if (!mongoose.isValidObjectId(attachmentId)) {
+        return res.status(400).json({ message: "Invalid attachment id" });
+      }
+
+      const attachment = await attachmentRepository.findById(attachmentId);
+      if (
+        !attachment ||
+        attachment.status !== "complete" ||
+        !(await this.canRead(attachment, req.user.username))
+      ) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+
+      const range = parseRange(req.get("Range"), attachment.size);
+      if (range === null) {
+        res.set("Content-Range", `bytes */${attachment.size}`);
+        return res.status(416).json({ message: "Range not satisfiable" });
+      }
+
+      const { start, end } = range || { start: 0, end: attachment.size - 1 };
+
+      res.set({
+        "Accept-Ranges": "bytes",
+        "Content-Type": "application/octet-stream",
+        "Content-Length": end - start + 1,
+        "Cache-Control": "private, no-store",
+      });
+
+      if (range) {
+        res.status(206);
+        res.set("Content-Range", `bytes ${start}-${end}/${attachment.size}`);
+      }
+
+      const stream = attachmentStore.createReadStream(attachment._id, {
+        start,
+        end,
+      });
+
+      stream.on("error", (err) => {
+        logger.error("Attachment download error:", err);
+        if (res.headersSent) {
+          res.destroy(err);
+        } else {
+          res.status(500).json({ message: "Failed to retrieve attachment" });
+        }
+      });
+
+      stream.pipe(res);
+    } catch (error) {
+      logger.error("Attachment download error:", error);
+      return res.status(500).json({ message: "Failed to retrieve attachment" });
+    }
+  }
+}
+
+module.exports = new AttachmentController();
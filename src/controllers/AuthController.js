@@ -1,11 +1,56 @@
 const argon2 = require("argon2");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const userRepository = require("../repositories/UserRepository");
+const refreshTokenRepository = require("../repositories/RefreshTokenRepository");
+const sessionRepository = require("../repositories/SessionRepository");
+const sessionService = require("../services/SessionService");
+const { verifyToken, blacklistToken } = require("../middleware/auth");
 const logger = require("../utils/logger");
 const { JWT_SECRET, JWT_EXPIRATION } = require('../config/auth.config');
 
 
 class AuthController {
+  constructor() {
+    // Constants
+    this.MAX_DEVICE_NAME_LENGTH = 100;
+    this.MAX_USER_AGENT_LENGTH = 512;
+  }
+
+  signAccessToken(username, sessionId) {
+    return jwt.sign({ username, sid: sessionId }, JWT_SECRET, {
+      expiresIn: JWT_EXPIRATION,
+      jwtid: crypto.randomUUID(),
+    });
+  }
+
+  // Every login opens a session; its access tokens carry the session id and
+  // its refresh tokens use it as their family
+  async issueTokens(username, req) {
+    const { deviceName } = req.body;
+    const userAgent = req.headers["user-agent"];
+
+    const session = await sessionRepository.create(username, {
+      deviceName:
+        typeof deviceName === "string"
+          ? deviceName.trim().slice(0, this.MAX_DEVICE_NAME_LENGTH)
+          : null,
+      ip: req.ip,
+      userAgent: userAgent
+        ? userAgent.slice(0, this.MAX_USER_AGENT_LENGTH)
+        : null,
+    });
+    const sessionId = session._id.toString();
+
+    const token = this.signAccessToken(username, sessionId);
+    const { token: refreshToken } = await refreshTokenRepository.issue(
+      username,
+      sessionId
+    );
+
+    return { token, refreshToken, sessionId };
+  }
+
   async register(req, res) {
     try {
       const { username, password, publicKey } = req.body;
@@ -52,13 +97,16 @@ class AuthController {
 
       logger.info(`User registered: ${username}`);
 
-      const token = jwt.sign({ username: newUser.username }, JWT_SECRET, {
-        expiresIn: JWT_EXPIRATION,
-      });
+      const { token, refreshToken, sessionId } = await this.issueTokens(
+        newUser.username,
+        req
+      );
 
       return res.status(201).json({
         message: "User registered successfully",
         token,
+        refreshToken,
+        sessionId,
         username: newUser.username,
       });
     } catch (error) {
@@ -92,15 +140,18 @@ class AuthController {
 
       await userRepository.updateLastLogin(user);
 
-      const token = jwt.sign({ username: user.username }, JWT_SECRET, {
-        expiresIn: JWT_EXPIRATION,
-      });
+      const { token, refreshToken, sessionId } = await this.issueTokens(
+        user.username,
+        req
+      );
 
       logger.info(`User logged in: ${username}`);
 
       return res.status(200).json({
         message: "Login successful",
         token,
+        refreshToken,
+        sessionId,
         username: user.username,
       });
     } catch (error) {
@@ -109,6 +160,61 @@ class AuthController {
     }
   }
 
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken || typeof refreshToken !== "string") {
+        return res.status(400).json({ message: "No refresh token provided" });
+      }
+
+      const rotated = await refreshTokenRepository.rotate(refreshToken);
+
+      if (!rotated) {
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+
+      if (rotated.reused) {
+        logger.warn(
+          `Refresh token reuse for user ${rotated.username}, revoked family ${rotated.familyId}`
+        );
+        await sessionService.revoke(rotated.username, {
+          sessionIds: [rotated.familyId],
+        });
+        return res.status(401).json({ message: "Refresh token reuse detected" });
+      }
+
+      const user = await userRepository.findByUsername(rotated.username);
+      if (!user) {
+        await sessionService.revoke(rotated.username, {
+          sessionIds: [rotated.familyId],
+        });
+        return res.status(401).json({ message: "User not found" });
+      }
+
+      const sessionActive = await sessionRepository.extend(
+        rotated.familyId,
+        rotated.username
+      );
+      if (!sessionActive) {
+        await refreshTokenRepository.revokeFamily(rotated.familyId);
+        return res.status(401).json({ message: "Session has been revoked" });
+      }
+
+      const token = this.signAccessToken(rotated.username, rotated.familyId);
+
+      return res.status(200).json({
+        token,
+        refreshToken: rotated.token,
+        sessionId: rotated.familyId,
+        username: rotated.username,
+      });
+    } catch (error) {
+      logger.error("Token refresh error:", error);
+      return res.status(500).json({ message: "Token refresh failed" });
+    }
+  }
+
   async getProfile(req, res) {
     try {
       const cachedProfile = await userRepository.getProfileFromCache(req.user.username);
@@ -145,6 +251,22 @@ class AuthController {
         return res.status(400).json({ message: "No token provided" });
       }
 
+      // Signature, expiry and revocation are checked every time; the cache
+      // only saves the user lookup
+      const decoded = await verifyToken(token);
+      if (!decoded || !decoded.username) {
+        throw new Error("Invalid token");
+      }
+
+      // A token from a session that was logged out is no longer valid
+      const sessionActive =
+        decoded.sid &&
+        (await sessionService.isActive(decoded.sid, decoded.username, req.ip));
+
+      if (!sessionActive) {
+        return res.status(401).json({ valid: false });
+      }
+
       const cachedResult = await userRepository.getTokenFromCache(token);
       if (cachedResult) {
         if (cachedResult.valid) {
@@ -152,11 +274,6 @@ class AuthController {
         }
       }
 
-      const decoded = jwt.verify(token, JWT_SECRET);
-      if (!decoded || !decoded.username) {
-        throw new Error("Invalid token");
-      }
-
       const user = await userRepository.findByUsername(decoded.username);
 
       if (!user) {
@@ -170,7 +287,7 @@ class AuthController {
           valid: true,
           username: decoded.username,
         }, 
-        3600
+        Math.max(1, Math.min(3600, decoded.exp - Math.floor(Date.now() / 1000)))
       );
 
       return res.status(200).json({ valid: true });
@@ -186,18 +303,18 @@ class AuthController {
       const token = authHeader && authHeader.split(" ")[1];
 
       if (token) {
-        try {
-          const decoded = jwt.verify(token, JWT_SECRET);
-          const expiryTime = decoded.exp - Math.floor(Date.now() / 1000);
-
-          if (expiryTime > 0) {
-            await userRepository.blacklistToken(token, expiryTime);
-          }
-        } catch (err) {
-          logger.debug("Token invalidation error:", err);
-        }
+        await blacklistToken(token);
       }
 
+      const { refreshToken } = req.body || {};
+      if (typeof refreshToken === "string" && refreshToken) {
+        await refreshTokenRepository.revoke(refreshToken, req.user.username);
+      }
+
+      await sessionService.revoke(req.user.username, {
+        sessionIds: [req.user.sessionId],
+      });
+
       logger.info(`User logged out: ${req.user.username}`);
 
       return res.status(200).json({ message: "Logout successful" });
@@ -206,6 +323,67 @@ class AuthController {
       return res.status(500).json({ message: "Logout failed" });
     }
   }
+
+  async listSessions(req, res) {
+    try {
+      const sessions = await sessionRepository.listActive(req.user.username);
+
+      return res.status(200).json({
+        sessions: sessions.map((session) => ({
+          sessionId: session._id.toString(),
+          deviceName: session.deviceName,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session._id.toString() === req.user.sessionId,
+        })),
+      });
+    } catch (error) {
+      logger.error("Session listing error:", error);
+      return res.status(500).json({ message: "Failed to retrieve sessions" });
+    }
+  }
+
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const revoked = await sessionService.revoke(req.user.username, {
+        sessionIds: [sessionId],
+      });
+
+      if (revoked.length === 0) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      return res.status(200).json({ message: "Session revoked", sessionId });
+    } catch (error) {
+      logger.error("Session revocation error:", error);
+      return res.status(500).json({ message: "Failed to revoke session" });
+    }
+  }
+
+  // "Log out all other devices": everything but the session making the call
+  async revokeOtherSessions(req, res) {
+    try {
+      const revoked = await sessionService.revoke(req.user.username, {
+        exceptId: req.user.sessionId,
+      });
+
+      logger.info(
+        `User ${req.user.username} logged out ${revoked.length} other session(s)`
+      );
+
+      return res.status(200).json({
+        message: "Other sessions revoked",
+        revoked: revoked.length,
+      });
+    } catch (error) {
+      logger.error("Session revocation error:", error);
+      return res.status(500).json({ message: "Failed to revoke sessions" });
+    }
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
@@ -0,0 +1,405 @@
+const mongoose = require("mongoose");
+const logger = require("../utils/logger");
+const conversationRepository = require("../repositories/ConversationRepository");
+const messageRepository = require("../repositories/MessageRepository");
+const {
+  MIN_TTL_SECONDS,
+  RETENTION_SECONDS,
+  isValidTtl,
+} = require("../utils/expiry");
+
+const MAX_GROUP_MEMBERS = 1000;
+
+const memberRole = (conversation, username) => {
+  const member = conversation.members.find((m) => m.username === username);
+  return member ? member.role : null;
+};
+
+const isUsernameList = (value) =>
+  Array.isArray(value) &&
+  value.every((username) => typeof username === "string" && username);
+
+class ConversationController {
+  async createConversation(req, res) {
+    try {
+      const { type, name, members } = req.body;
+      const username = req.user.username;
+
+      if (type !== "direct" && type !== "group") {
+        return res
+          .status(400)
+          .json({ message: "type must be either direct or group" });
+      }
+
+      if (!isUsernameList(members) || members.length === 0) {
+        return res.status(400).json({
+          message: "members must be a non-empty array of usernames",
+        });
+      }
+
+      const usernames = [...new Set(members)].filter((m) => m !== username);
+
+      if (type === "direct" && usernames.length !== 1) {
+        return res.status(400).json({
+          message: "A direct conversation needs exactly one other member",
+        });
+      }
+
+      if (type === "group") {
+        if (!name || typeof name !== "string") {
+          return res.status(400).json({ message: "Group name is required" });
+        }
+
+        if (usernames.length + 1 > MAX_GROUP_MEMBERS) {
+          return res.status(400).json({
+            message: `Groups are limited to ${MAX_GROUP_MEMBERS} members`,
+          });
+        }
+      }
+
+      const existing = await messageRepository.findExistingUsernames(usernames);
+      const unknownUsers = usernames.filter((u) => !existing.includes(u));
+      if (unknownUsers.length > 0) {
+        return res
+          .status(400)
+          .json({ message: "Unknown users", users: unknownUsers });
+      }
+
+      const conversation =
+        type === "direct"
+          ? await conversationRepository.findOrCreateDirect(
+              username,
+              usernames[0]
+            )
+          : await conversationRepository.createGroup(name, username, usernames);
+
+      return res.status(201).json(conversation);
+    } catch (error) {
+      logger.error("Conversation creation error:", error);
+      return res.status(500).json({ message: "Failed to create conversation" });
+    }
+  }
+
+  async listConversations(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const conversations = await conversationRepository.listForUser(
+        req.user.username,
+        limit
+      );
+
+      return res.status(200).json({ conversations });
+    } catch (error) {
+      logger.error("Conversation list error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve conversations" });
+    }
+  }
+
+  async getConversation(req, res) {
+    try {
+      const { conversationId } = req.params;
+
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversation id" });
+      }
+
+      const conversation = await conversationRepository.findForMember(
+        conversationId,
+        req.user.username
+      );
+
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      return res.status(200).json(conversation);
+    } catch (error) {
+      logger.error("Conversation retrieval error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve conversation" });
+    }
+  }
+
+  async addMembers(req, res) {
+    try {
+      const { conversationId } = req.params;
+      const { members } = req.body;
+      const role = req.body.role || "member";
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversation id" });
+      }
+
+      if (!isUsernameList(members) || members.length === 0) {
+        return res.status(400).json({
+          message: "members must be a non-empty array of usernames",
+        });
+      }
+
+      if (role !== "admin" && role !== "member") {
+        return res
+          .status(400)
+          .json({ message: "role must be either admin or member" });
+      }
+
+      const conversation = await conversationRepository.findForMember(
+        conversationId,
+        username
+      );
+
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      if (conversation.type !== "group") {
+        return res
+          .status(400)
+          .json({
+            message: "Members can only be added to group conversations",
+          });
+      }
+
+      const callerRole = memberRole(conversation, username);
+      if (
+        callerRole === "member" ||
+        (role === "admin" && callerRole !== "owner")
+      ) {
+        return res.status(403).json({ message: "Insufficient permissions" });
+      }
+
+      const usernames = [...new Set(members)];
+
+      if (conversation.members.length + usernames.length > MAX_GROUP_MEMBERS) {
+        return res.status(400).json({
+          message: `Groups are limited to ${MAX_GROUP_MEMBERS} members`,
+        });
+      }
+
+      const existing = await messageRepository.findExistingUsernames(usernames);
+      const unknownUsers = usernames.filter((u) => !existing.includes(u));
+      if (unknownUsers.length > 0) {
+        return res
+          .status(400)
+          .json({ message: "Unknown users", users: unknownUsers });
+      }
+
+      const updated = await conversationRepository.addMembers(
+        conversationId,
+        usernames,
+        role
+      );
+
+      logger.info(
+        `${username} added ${usernames.length} members to conversation ${conversationId}`
+      );
+
+      return res.status(200).json(updated);
+    } catch (error) {
+      logger.error("Add conversation members error:", error);
+      return res.status(500).json({ message: "Failed to add members" });
+    }
+  }
+
+  async removeMember(req, res) {
+    try {
+      const { conversationId, username: target } = req.params;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversation id" });
+      }
+
+      const conversation = await conversationRepository.findForMember(
+        conversationId,
+        username
+      );
+
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      if (conversation.type !== "group") {
+        return res.status(400).json({
+          message: "Members can only be removed from group conversations",
+        });
+      }
+
+      const targetRole = memberRole(conversation, target);
+      if (!targetRole) {
+        return res.status(404).json({ message: "Member not found" });
+      }
+
+      const callerRole = memberRole(conversation, username);
+
+      // Anyone may leave; owners remove anyone, admins only plain members
+      if (
+        target !== username &&
+        !(
+          callerRole === "owner" ||
+          (callerRole === "admin" && targetRole === "member")
+        )
+      ) {
+        return res.status(403).json({ message: "Insufficient permissions" });
+      }
+
+      // Ownership passes to the longest-standing admin, or member, when the
+      // owner leaves so the group never ends up unmanageable
+      const updated = await conversationRepository.removeMember(
+        conversationId,
+        target
+      );
+
+      logger.info(
+        `${username} removed ${target} from conversation ${conversationId}`
+      );
+
+      return res.status(200).json(updated);
+    } catch (error) {
+      logger.error("Remove conversation member error:", error);
+      return res.status(500).json({ message: "Failed to remove member" });
+    }
+  }
+
+  async updateMemberRole(req, res) {
+    try {
+      const { conversationId, username: target } = req.params;
+      const { role } = req.body;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversation id" });
+      }
+
+      if (!["owner", "admin", "member"].includes(role)) {
+        return res
+          .status(400)
+          .json({ message: "role must be owner, admin or member" });
+      }
+
+      const conversation = await conversationRepository.findForMember(
+        conversationId,
+        username
+      );
+
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      if (conversation.type !== "group") {
+        return res
+          .status(400)
+          .json({ message: "Direct conversations have no roles" });
+      }
+
+      if (memberRole(conversation, username) !== "owner") {
+        return res.status(403).json({ message: "Insufficient permissions" });
+      }
+
+      if (!memberRole(conversation, target)) {
+        return res.status(404).json({ message: "Member not found" });
+      }
+
+      if (target === username) {
+        return res
+          .status(400)
+          .json({ message: "Transfer ownership to another member instead" });
+      }
+
+      // Transferring ownership demotes the current owner to admin
+      const updated =
+        role === "owner"
+          ? await conversationRepository.transferOwnership(
+              conversationId,
+              username,
+              target
+            )
+          : await conversationRepository.updateMemberRole(
+              conversationId,
+              target,
+              role
+            );
+
+      if (!updated) {
+        return res
+          .status(409)
+          .json({ message: "Conversation members changed, please retry" });
+      }
+
+      return res.status(200).json(updated);
+    } catch (error) {
+      logger.error("Update conversation role error:", error);
+      return res.status(500).json({ message: "Failed to update member role" });
+    }
+  }
+
+  async updateSettings(req, res) {
+    try {
+      const { conversationId } = req.params;
+      const { messageTtlSeconds, expireAfterRead } = req.body;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversation id" });
+      }
+
+      const settings = {};
+
+      if (messageTtlSeconds !== undefined) {
+        if (messageTtlSeconds !== null && !isValidTtl(messageTtlSeconds)) {
+          return res.status(400).json({
+            message: `messageTtlSeconds must be null or a whole number between ${MIN_TTL_SECONDS} and ${RETENTION_SECONDS}`,
+          });
+        }
+        settings.messageTtlSeconds = messageTtlSeconds;
+      }
+
+      if (expireAfterRead !== undefined) {
+        if (typeof expireAfterRead !== "boolean") {
+          return res
+            .status(400)
+            .json({ message: "expireAfterRead must be a boolean" });
+        }
+        settings.expireAfterRead = expireAfterRead;
+      }
+
+      if (Object.keys(settings).length === 0) {
+        return res.status(400).json({ message: "No settings to update" });
+      }
+
+      const conversation = await conversationRepository.findForMember(
+        conversationId,
+        username
+      );
+
+      if (!conversation) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      // Either side of a direct chat may set its timer; in groups it is up
+      // to the owner and admins
+      if (
+        conversation.type === "group" &&
+        !["owner", "admin"].includes(memberRole(conversation, username))
+      ) {
+        return res.status(403).json({ message: "Insufficient permissions" });
+      }
+
+      const updated = await conversationRepository.updateSettings(
+        conversationId,
+        settings
+      );
+
+      return res.status(200).json(updated);
+    } catch (error) {
+      logger.error("Update conversation settings error:", error);
+      return res.status(500).json({ message: "Failed to update settings" });
+    }
+  }
+}
+
+module.exports = new ConversationController();
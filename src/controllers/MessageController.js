@@ -1,9 +1,65 @@
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const logger = require("../utils/logger");
 const messageRepository = require("../repositories/MessageRepository");
+const conversationRepository = require("../repositories/ConversationRepository");
+const idempotencyRepository = require("../repositories/IdempotencyRepository");
+const attachmentRepository = require("../repositories/AttachmentRepository");
+const usageRepository = require("../repositories/UsageRepository");
 const messageService = require("../services/MessageService");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const {
+  MIN_TTL_SECONDS,
+  RETENTION_SECONDS,
+  isValidTtl,
+  expiresAtFor,
+} = require("../utils/expiry");
+const {
+  REACTION_MODE,
+  MAX_REACTION_LENGTH,
+  MAX_REACTIONS_PER_USER,
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+} = require("../config/messaging.config");
+const { MAX_ATTACHMENTS_PER_MESSAGE } = require("../config/attachment.config");
+const {
+  MESSAGES_PER_DAY,
+  STORED_BYTES,
+  RECIPIENTS_PER_MESSAGE,
+  MAX_MESSAGE_BYTES,
+} = require("../config/quota.config");
+const { messageSize } = require("../utils/usage");
 
 class MessageController {
+  constructor() {
+    this.SSE_HEARTBEAT_INTERVAL = 15000;
+    this.MAX_PAGE_SIZE = 100;
+    this.MAX_ACKS_PER_REQUEST = 500;
+    this.DELETE_FOR_EVERYONE_WINDOW = 48 * 60 * 60 * 1000;
+    this.MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000;
+    this.MAX_SEARCH_TOKENS = 64;
+    this.MAX_SEARCH_TOKEN_LENGTH = 128;
+  }
+
+  async checkConversationAccess(conversationId, username) {
+    if (!conversationId) {
+      return null;
+    }
+
+    if (!mongoose.isValidObjectId(conversationId)) {
+      return { status: 400, body: { message: "Invalid conversation id" } };
+    }
+
+    const conversation = await conversationRepository.findForMember(
+      conversationId,
+      username
+    );
+    if (!conversation) {
+      return { status: 404, body: { message: "Conversation not found" } };
+    }
+
+    return null;
+  }
+
   async pollMessages(req, res) {
     try {
       if (messageService.isAtCapacity()) {
@@ -19,6 +75,20 @@ class MessageController {
 
       const clientId = crypto.randomUUID();
       const username = req.user.username;
+      const conversationId = req.query.conversationId || null;
+      const since = req.query.since ? decodeCursor(req.query.since) : null;
+
+      if (req.query.since && !since) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+
+      const accessError = await this.checkConversationAccess(
+        conversationId,
+        username
+      );
+      if (accessError) {
+        return res.status(accessError.status).json(accessError.body);
+      }
 
       req.setTimeout(7000);
 
@@ -26,23 +96,69 @@ class MessageController {
       res.setHeader("Connection", "keep-alive");
       res.setHeader("Cache-Control", "no-cache");
 
-      const result = messageService.hasMessageForUser(username);
-      if (result) {
-        const { message, messageId } = result;
+      // With a cursor, everything the client missed comes back in one
+      // batch, backfilled from the database if it has been away a while
+      if (since) {
+        const { messages, hasMore } = await messageService.getMessagesSince(
+          username,
+          since,
+          conversationId
+        );
+
+        if (messages.length > 0) {
+          for (const message of messages) {
+            messageService.markMessageSent(message._id.toString(), username);
+          }
 
-        const clientMessage = { ...message };
-        delete clientMessage._workerId;
-        delete clientMessage._queued;
+          res.json({
+            type: "messages",
+            data: messages.map((m) => messageService.toClientMessage(m)),
+            cursor: encodeCursor(messages[messages.length - 1]),
+            hasMore,
+          });
 
-        messageService.markMessageDelivered(messageId, username);
+          return messageService
+            .consumeViewOnce(messages, username)
+            .catch((err) => logger.error("View-once update error:", err));
+        }
+      } else {
+        const result = await messageService.findUndeliveredMessage(
+          username,
+          conversationId
+        );
+        if (result) {
+          const { message, messageId } = result;
+
+          messageService.markMessageSent(messageId, username);
+
+          res.json({
+            type: "message",
+            data: messageService.toClientMessage(message),
+            cursor: encodeCursor(message),
+          });
+
+          return messageService
+            .consumeViewOnce([message], username)
+            .catch((err) => logger.error("View-once update error:", err));
+        }
+      }
 
+      const events = messageService.takePendingEvents(username);
+      if (events.length > 0) {
         return res.json({
-          type: "message",
-          data: clientMessage,
+          type: "events",
+          data: events,
+          cursor: req.query.since,
         });
       }
 
-      messageService.addClient(clientId, res, username);
+      messageService.addClient(
+        clientId,
+        res,
+        username,
+        conversationId,
+        Boolean(since)
+      );
 
       req.on("close", () => {
         messageService.removeClient(clientId);
@@ -51,7 +167,7 @@ class MessageController {
       setTimeout(() => {
         if (messageService.removeClient(clientId)) {
           try {
-            res.json({ type: "timeout" });
+            res.json({ type: "timeout", cursor: req.query.since });
           } catch (err) {}
         }
       }, 5000);
@@ -61,39 +177,422 @@ class MessageController {
     }
   }
 
+  async resolveRecipients(req) {
+    const { conversationId, recipientKeys } = req.body;
+    const requestedRecipients = req.body.recipients;
+    const sender = req.user.username;
+
+    let conversation = null;
+    let recipients;
+
+    if (conversationId) {
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return { status: 400, body: { message: "Invalid conversation id" } };
+      }
+
+      conversation = await conversationRepository.findForMember(
+        conversationId,
+        sender
+      );
+
+      if (!conversation) {
+        return { status: 404, body: { message: "Conversation not found" } };
+      }
+
+      recipients = conversation.members
+        .map((member) => member.username)
+        .filter((username) => username !== sender);
+
+      if (recipients.length === 0) {
+        return {
+          status: 400,
+          body: { message: "Conversation has no other members" },
+        };
+      }
+    } else {
+      if (
+        !Array.isArray(requestedRecipients) ||
+        requestedRecipients.length === 0 ||
+        requestedRecipients.some(
+          (recipient) => typeof recipient !== "string" || !recipient
+        )
+      ) {
+        return {
+          status: 400,
+          body: {
+            message: "recipients must be a non-empty array of usernames",
+          },
+        };
+      }
+
+      recipients = [...new Set(requestedRecipients)];
+    }
+
+    const missingKeys = recipients.filter(
+      (recipient) => typeof recipientKeys[recipient] !== "string"
+    );
+    if (missingKeys.length > 0) {
+      return {
+        status: 400,
+        body: { message: "Missing recipient keys", recipients: missingKeys },
+      };
+    }
+
+    if (!conversation) {
+      const existing = await messageRepository.findExistingUsernames(
+        recipients
+      );
+      const unknownRecipients = recipients.filter(
+        (recipient) => !existing.includes(recipient)
+      );
+      if (unknownRecipients.length > 0) {
+        return {
+          status: 400,
+          body: {
+            message: "Unknown recipients",
+            recipients: unknownRecipients,
+          },
+        };
+      }
+
+      // A message to a single other user belongs to their direct chat
+      if (recipients.length === 1 && recipients[0] !== sender) {
+        conversation = await conversationRepository.findOrCreateDirect(
+          sender,
+          recipients[0]
+        );
+      }
+    }
+
+    return { recipients, conversation };
+  }
+
+  async streamMessages(req, res) {
+    try {
+      if (messageService.isAtCapacity()) {
+        const load = messageService.getLoadFactor();
+        const retryAfter = Math.min(Math.ceil(load * 5), 10);
+
+        res.set("Retry-After", retryAfter.toString());
+        return res.status(503).json({
+          message: "Server at capacity, please retry shortly",
+          retryAfter: retryAfter,
+        });
+      }
+
+      const clientId = crypto.randomUUID();
+      const username = req.user.username;
+      const conversationId = req.query.conversationId || null;
+      const lastEventId =
+        req.headers["last-event-id"] || req.query.lastEventId || null;
+      const since = lastEventId ? decodeCursor(lastEventId) : null;
+
+      if (lastEventId && !since) {
+        return res.status(400).json({ message: "Invalid Last-Event-ID" });
+      }
+
+      const accessError = await this.checkConversationAccess(
+        conversationId,
+        username
+      );
+      if (accessError) {
+        return res.status(accessError.status).json(accessError.body);
+      }
+
+      // The stream outlives the server's default request timeout
+      req.setTimeout(0);
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write("retry: 3000\n\n");
+
+      const send = (payload) => {
+        const lines = [`event: ${payload.type}`];
+        if (payload.cursor) {
+          lines.push(`id: ${payload.cursor}`);
+        }
+        lines.push(`data: ${JSON.stringify(payload.data || {})}`);
+        res.write(lines.join("\n") + "\n\n");
+      };
+
+      const heartbeat = setInterval(() => {
+        try {
+          send({ type: "heartbeat", data: { timestamp: new Date() } });
+        } catch (err) {
+          clearInterval(heartbeat);
+        }
+      }, this.SSE_HEARTBEAT_INTERVAL);
+
+      const cleanup = () => {
+        clearInterval(heartbeat);
+        messageService.removeClient(clientId);
+      };
+
+      req.on("close", cleanup);
+
+      await messageService.addStreamClient(clientId, {
+        username,
+        conversationId,
+        transport: "sse",
+        send,
+        since,
+        sessionId: req.user.sessionId,
+        close: () => {
+          cleanup();
+          res.end();
+        },
+      });
+    } catch (error) {
+      logger.error("Message stream error:", error);
+      if (!res.headersSent) {
+        return res
+          .status(500)
+          .json({ message: "Error opening message stream" });
+      }
+      res.end();
+    }
+  }
+
+  // Retried sends are recognised by an Idempotency-Key header or a
+  // clientMessageId in the body
   async sendMessage(req, res) {
+    const idempotencyKey =
+      req.get("Idempotency-Key") || req.body.clientMessageId;
+    let claimedKey = false;
+
     try {
-      const { encryptedContent, iv, recipientKeys } = req.body;
+      const { encryptedContent, iv, recipientKeys, conversationId, viewOnce } =
+        req.body;
 
-      if (!encryptedContent || !iv || !recipientKeys) {
+      if (
+        !encryptedContent ||
+        !iv ||
+        !recipientKeys ||
+        (!conversationId && !req.body.recipients)
+      ) {
         return res.status(400).json({ message: "Missing required fields" });
       }
 
-      let recipients;
+      if (typeof recipientKeys !== "object" || Array.isArray(recipientKeys)) {
+        return res
+          .status(400)
+          .json({ message: "recipientKeys must be an object" });
+      }
+
+      if (viewOnce !== undefined && typeof viewOnce !== "boolean") {
+        return res.status(400).json({ message: "viewOnce must be a boolean" });
+      }
+
+      if (
+        idempotencyKey !== undefined &&
+        (typeof idempotencyKey !== "string" ||
+          idempotencyKey.length === 0 ||
+          idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)
+      ) {
+        return res.status(400).json({
+          message: `Idempotency key must be a string of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+        });
+      }
+
+      const deliverAt = this.parseDeliverAt(req.body.deliverAt);
+      if (deliverAt && deliverAt.status) {
+        return res.status(deliverAt.status).json(deliverAt.body);
+      }
 
-      try {
-        const users = await messageRepository.getAllUsers();
-        recipients = users.map((user) => user.username);
-      } catch (error) {
-        logger.error("Error getting recipients:", error);
-        recipients = [req.user.username];
+      const searchTokens = this.parseSearchTokens(req.body.searchTokens);
+      if (searchTokens.status) {
+        return res.status(searchTokens.status).json(searchTokens.body);
       }
 
       const messageId = await messageRepository.createMessageId();
 
+      // The key is claimed before anything else is looked up or changed: a
+      // retry of a send that was accepted gets its original answer even if
+      // the checks below would now come out differently, and a rejected
+      // send leaves nothing behind
+      if (idempotencyKey) {
+        const earlier = await idempotencyRepository.reserve(
+          req.user.username,
+          idempotencyKey,
+          messageId
+        );
+
+        if (earlier && !earlier.status) {
+          return res.status(409).json({
+            message: "A message with this idempotency key is still being sent",
+            messageId: earlier.messageId,
+          });
+        }
+        if (earlier) {
+          res.set("Idempotent-Replayed", "true");
+          return res.status(earlier.status).json(earlier.response);
+        }
+
+        claimedKey = true;
+      }
+
+      const resolved = await this.resolveRecipients(req);
+      if (resolved.status) {
+        return this.rejectSend(
+          req,
+          res,
+          idempotencyKey,
+          resolved.status,
+          resolved.body
+        );
+      }
+
+      const { recipients, conversation } = resolved;
+
+      if (recipients.length > RECIPIENTS_PER_MESSAGE) {
+        return this.rejectSend(req, res, idempotencyKey, 413, {
+          message: `A message can have at most ${RECIPIENTS_PER_MESSAGE} recipients`,
+        });
+      }
+
+      const { replyTo } = req.body;
+      if (replyTo !== undefined && replyTo !== null) {
+        const parentError = await this.checkReplyTarget(
+          replyTo,
+          req.user.username,
+          conversation
+        );
+        if (parentError) {
+          return this.rejectSend(
+            req,
+            res,
+            idempotencyKey,
+            parentError.status,
+            parentError.body
+          );
+        }
+      }
+
+      const expiry = this.resolveExpiry(req.body, conversation);
+      if (expiry.status) {
+        return this.rejectSend(
+          req,
+          res,
+          idempotencyKey,
+          expiry.status,
+          expiry.body
+        );
+      }
+
+      const attached = await this.resolveAttachments(
+        req.body.attachments,
+        recipients,
+        req.user.username
+      );
+      if (attached.status) {
+        return this.rejectSend(
+          req,
+          res,
+          idempotencyKey,
+          attached.status,
+          attached.body
+        );
+      }
+
+      // Only keep key envelopes for the people who can actually read the
+      // message; the sender may include one for their own copy.
+      const keys = {};
+      for (const username of [...recipients, req.user.username]) {
+        if (typeof recipientKeys[username] === "string") {
+          keys[username] = recipientKeys[username];
+        }
+      }
+
+      const size = messageSize({
+        encryptedContent,
+        iv,
+        recipientKeys: keys,
+        recipients,
+        attachments: attached.attachments,
+      });
+      const quotaError = await this.checkSendQuota(req.user.username, size);
+      if (quotaError) {
+        if (quotaError.retryAfter) {
+          res.set("Retry-After", String(quotaError.retryAfter));
+        }
+        return this.rejectSend(
+          req,
+          res,
+          idempotencyKey,
+          quotaError.status,
+          quotaError.body
+        );
+      }
+
+      const timestamp = new Date();
+      const expiresAt = expiresAtFor(expiry, deliverAt || timestamp);
+
+      if (
+        attached.attachments.length > 0 &&
+        !(await attachmentRepository.extendExpiry(
+          attached.attachments.map((attachment) => attachment.attachmentId),
+          expiresAt
+        ))
+      ) {
+        return this.rejectSend(req, res, idempotencyKey, 400, {
+          message: "Attachments must be completed uploads of your own",
+        });
+      }
+
+      // Scheduled messages go straight to the database and wait there for
+      // the scheduler; the timestamp is moved to the actual delivery time
       const newMessage = {
         _id: messageId,
         messageId: messageId,
         sender: req.user.username,
+        conversationId: conversation ? conversation._id : null,
         encryptedContent,
         iv,
         recipients,
-        recipientKeys: recipientKeys || {},
-        timestamp: new Date(),
-        isUnread: true,
+        recipientKeys: keys,
+        attachments: attached.attachments,
+        timestamp: deliverAt || timestamp,
+        ttlSeconds: expiry.ttlSeconds,
+        expireAfterRead: expiry.expireAfterRead,
+        expiresAt,
+        viewOnce: Boolean(viewOnce),
+        replyTo: replyTo ? new mongoose.Types.ObjectId(replyTo) : null,
+        ...(searchTokens.tokens.length > 0 && {
+          searchTokens: searchTokens.tokens,
+        }),
+        ...(deliverAt && { status: "scheduled", deliverAt }),
       };
 
-      messageService.addToMessageBatch(newMessage);
+      if (deliverAt) {
+        await messageRepository.createScheduledMessage(newMessage);
+        this.recordUsage(req.user.username, size, newMessage.expiresAt);
+
+        return this.finishSend(req, res, idempotencyKey, messageId, {
+          message: "Message scheduled",
+          messageId: messageId,
+          conversationId: newMessage.conversationId,
+          deliverAt,
+        });
+      }
+
+      await messageService.addToMessageBatch(newMessage);
+      this.recordUsage(req.user.username, size, newMessage.expiresAt);
+
+      if (newMessage.replyTo) {
+        messageRepository
+          .recordReply(newMessage.replyTo, newMessage.timestamp)
+          .catch((err) => logger.error("Thread update error:", err));
+      }
+
+      if (conversation) {
+        conversationRepository
+          .touch(conversation._id, newMessage.timestamp)
+          .catch((err) => logger.error("Conversation update error:", err));
+      }
 
       setImmediate(() => {
         try {
@@ -103,74 +602,1151 @@ class MessageController {
         }
       });
 
-      return res.status(201).json({
+      return this.finishSend(req, res, idempotencyKey, messageId, {
         message: "Message sent successfully",
         messageId: messageId,
+        conversationId: newMessage.conversationId,
+        expiresAt: newMessage.expiresAt,
       });
     } catch (error) {
       logger.error("Message sending error:", error);
+
+      if (claimedKey) {
+        idempotencyRepository
+          .release(req.user.username, idempotencyKey)
+          .catch((err) => logger.error("Idempotency key release error:", err));
+      }
+
       return res.status(500).json({ message: "Failed to send message" });
     }
   }
 
-  async getMessageHistory(req, res) {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
+  // Only counts messages that were accepted; a failure to count one does
+  // not undo the send
+  recordUsage(username, size, expiresAt) {
+    usageRepository
+      .recordMessage(username, size, expiresAt)
+      .catch((err) => logger.error("Usage update error:", err));
+  }
 
-      const result = await messageRepository.getMessageHistory(
-        req.user.username,
-        page,
-        limit
-      );
+  // Turns down a send whose idempotency key was already claimed, freeing
+  // the key so the client can retry once it has fixed the request
+  rejectSend(req, res, idempotencyKey, status, body) {
+    if (idempotencyKey) {
+      idempotencyRepository
+        .release(req.user.username, idempotencyKey)
+        .catch((err) => logger.error("Idempotency key release error:", err));
+    }
 
-      return res.status(200).json(result);
-    } catch (error) {
-      logger.error("Message history retrieval error:", error);
-      return res
-        .status(500)
-        .json({ message: "Failed to retrieve message history" });
+    return res.status(status).json(body);
+  }
+
+  // Records the response under the idempotency key before sending it, so a
+  // retry gets the same answer
+  async finishSend(req, res, idempotencyKey, messageId, body) {
+    if (idempotencyKey) {
+      await idempotencyRepository
+        .complete(req.user.username, idempotencyKey, messageId, 201, body)
+        .catch((err) => logger.error("Idempotency key update error:", err));
     }
+
+    return res.status(201).json(body);
   }
-  
-  async getAllMessages(req, res) {
+
+  async editMessage(req, res) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
+      const { messageId } = req.params;
+      const { encryptedContent, iv, recipientKeys } = req.body;
+      const username = req.user.username;
 
-      const result = await messageRepository.getAllMessages(page, limit);
-      
-      return res.status(200).json(result);
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      if (!encryptedContent || !iv || !recipientKeys) {
+        return res.status(400).json({ message: "Missing required fields" });
+      }
+
+      if (typeof recipientKeys !== "object" || Array.isArray(recipientKeys)) {
+        return res
+          .status(400)
+          .json({ message: "recipientKeys must be an object" });
+      }
+
+      // Left out, the blind index stays as it is; [] clears it
+      const searchTokens =
+        req.body.searchTokens === undefined
+          ? {}
+          : this.parseSearchTokens(req.body.searchTokens);
+      if (searchTokens.status) {
+        return res.status(searchTokens.status).json(searchTokens.body);
+      }
+
+      await messageService.ensurePersisted(
+        (message) => message._id.toString() === messageId
+      );
+
+      const message = await messageRepository.getMessageById(
+        messageId,
+        username
+      );
+      if (!message) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+      if (message.sender !== username) {
+        return res
+          .status(403)
+          .json({ message: "Only the sender can edit this message" });
+      }
+      if (message.deleted) {
+        return res.status(409).json({ message: "Message has been deleted" });
+      }
+      if (message.viewOnce) {
+        return res
+          .status(409)
+          .json({ message: "View-once messages cannot be edited" });
+      }
+
+      const recipients = message.recipients.filter(
+        (recipient) => recipient !== username
+      );
+      const missingKeys = recipients.filter(
+        (recipient) => typeof recipientKeys[recipient] !== "string"
+      );
+      if (missingKeys.length > 0) {
+        return res.status(400).json({
+          message: "Missing recipient keys",
+          recipients: missingKeys,
+        });
+      }
+
+      const keys = {};
+      for (const recipient of [...recipients, username]) {
+        if (typeof recipientKeys[recipient] === "string") {
+          keys[recipient] = recipientKeys[recipient];
+        }
+      }
+
+      const updated = await messageRepository.editMessage(messageId, username, {
+        encryptedContent,
+        iv,
+        recipientKeys: keys,
+        searchTokens: searchTokens.tokens,
+      });
+      if (!updated) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+
+      const changes = {
+        encryptedContent,
+        iv,
+        recipientKeys: keys,
+        editedAt: updated.editedAt,
+      };
+      messageService.applyChanges(messageId, changes);
+
+      messageService.publishEvent(
+        [...new Set([...message.recipients, username])],
+        {
+          type: "message-edited",
+          data: {
+            messageId,
+            conversationId: message.conversationId,
+            ...changes,
+          },
+        },
+        { queue: true }
+      );
+
+      return res.status(200).json({
+        message: "Message updated",
+        messageId,
+        editedAt: updated.editedAt,
+      });
     } catch (error) {
-      logger.error("All messages retrieval error:", error);
-      return res
-        .status(500)
-        .json({ message: "Failed to retrieve all messages" });
+      logger.error("Message edit error:", error);
+      return res.status(500).json({ message: "Failed to edit message" });
     }
   }
 
-  async markMessageAsRead(req, res) {
+  async deleteMessage(req, res) {
     try {
       const { messageId } = req.params;
+      const mode = req.query.mode || req.body.mode || "me";
+      const username = req.user.username;
 
-      await messageRepository.markMessageAsRead(messageId, req.user.username);
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
 
-      return res.status(200).json({ message: "Message marked as read" });
+      if (mode !== "me" && mode !== "everyone") {
+        return res
+          .status(400)
+          .json({ message: 'mode must be "me" or "everyone"' });
+      }
+
+      await messageService.ensurePersisted(
+        (message) => message._id.toString() === messageId
+      );
+
+      if (mode === "me") {
+        const hidden = await messageRepository.hideMessage(messageId, username);
+        if (!hidden) {
+          return res.status(404).json({ message: "Message not found" });
+        }
+
+        messageService.applyHide(messageId, username);
+
+        return res.status(200).json({ message: "Message deleted", mode });
+      }
+
+      const message = await messageRepository.getMessageById(
+        messageId,
+        username
+      );
+      if (!message) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+      if (message.sender !== username) {
+        return res.status(403).json({
+          message: "Only the sender can delete this message for everyone",
+        });
+      }
+      if (message.deleted) {
+        return res.status(409).json({ message: "Message has been deleted" });
+      }
+
+      const deleted = await messageRepository.deleteForEveryone(
+        messageId,
+        username,
+        new Date(Date.now() - this.DELETE_FOR_EVERYONE_WINDOW)
+      );
+      if (!deleted) {
+        return res.status(403).json({
+          message: "Messages can only be deleted for everyone within 48 hours",
+        });
+      }
+
+      messageService.applyDelete(messageId);
+
+      messageService.publishEvent(
+        [...new Set([...deleted.recipients, username])],
+        {
+          type: "message-deleted",
+          data: {
+            messageId,
+            conversationId: deleted.conversationId,
+            deletedAt: deleted.deletedAt,
+          },
+        },
+        { queue: true }
+      );
+
+      return res.status(200).json({ message: "Message deleted", mode });
     } catch (error) {
-      logger.error("Message read status error:", error);
-      return res.status(500).json({ message: "Failed to update read status" });
+      logger.error("Message deletion error:", error);
+      return res.status(500).json({ message: "Failed to delete message" });
     }
   }
 
-  async getMessageById(req, res) {
+  async getMessageVersions(req, res) {
     try {
       const { messageId } = req.params;
 
-      const message = await messageRepository.getMessageById(messageId);
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      await messageService.ensurePersisted(
+        (message) => message._id.toString() === messageId
+      );
 
+      const message = await messageRepository.getMessageVersions(
+        messageId,
+        req.user.username
+      );
       if (!message) {
         return res.status(404).json({ message: "Message not found" });
       }
+      // View-once content is only handed out where it is consumed; they
+      // cannot be edited, so there is no history to show anyway
+      if (message.viewOnce && message.sender !== req.user.username) {
+        return res
+          .status(409)
+          .json({ message: "View-once messages have no version history" });
+      }
+
+      const { versions = [], ...current } = message;
+
+      return res.status(200).json({
+        messageId,
+        current: {
+          encryptedContent: current.encryptedContent,
+          iv: current.iv,
+          recipientKeys: current.recipientKeys,
+          createdAt: current.editedAt || current.timestamp,
+        },
+        versions,
+      });
+    } catch (error) {
+      logger.error("Message versions error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve message versions" });
+    }
+  }
+
+  // Plain reactions are emoji codes; encrypted ones are client ciphertext
+  // the server only stores
+  isValidReaction(reaction) {
+    return (
+      typeof reaction === "string" &&
+      reaction.length > 0 &&
+      reaction.length <= MAX_REACTION_LENGTH &&
+      (REACTION_MODE === "encrypted" || !/\s/.test(reaction))
+    );
+  }
+
+  async addReaction(req, res) {
+    return this.changeReaction(req, res, req.body.reaction, "added");
+  }
+
+  async removeReaction(req, res) {
+    return this.changeReaction(
+      req,
+      res,
+      req.query.reaction || req.body.reaction,
+      "removed"
+    );
+  }
+
+  async changeReaction(req, res, reaction, action) {
+    try {
+      const { messageId } = req.params;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      if (!this.isValidReaction(reaction)) {
+        return res.status(400).json({
+          message:
+            REACTION_MODE === "encrypted"
+              ? `reaction must be ciphertext of at most ${MAX_REACTION_LENGTH} characters`
+              : `reaction must be an emoji code of at most ${MAX_REACTION_LENGTH} characters`,
+        });
+      }
+
+      await messageService.ensurePersisted(
+        (message) => message._id.toString() === messageId
+      );
+
+      const message = await messageRepository.getMessageById(
+        messageId,
+        username
+      );
+      if (!message) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+      if (message.deleted && action === "added") {
+        return res.status(409).json({ message: "Message has been deleted" });
+      }
+
+      const updated =
+        action === "added"
+          ? await messageRepository.addReaction(messageId, username, reaction)
+          : await messageRepository.removeReaction(
+              messageId,
+              username,
+              reaction
+            );
+      if (!updated && action === "removed") {
+        return res.status(404).json({ message: "Reaction not found" });
+      }
+      if (!updated) {
+        return res.status(409).json({
+          message: `At most ${MAX_REACTIONS_PER_USER} reactions per message`,
+        });
+      }
+
+      const reactions = updated.reactions || [];
+
+      messageService.publishEvent(
+        [...new Set([...updated.recipients, updated.sender])],
+        {
+          type: "message-reaction",
+          data: {
+            messageId,
+            conversationId: updated.conversationId,
+            username,
+            reaction,
+            action,
+            reactions,
+          },
+        },
+        { queue: true }
+      );
+
+      return res.status(200).json({
+        message: action === "added" ? "Reaction added" : "Reaction removed",
+        messageId,
+        reactions,
+      });
+    } catch (error) {
+      logger.error("Message reaction error:", error);
+      return res.status(500).json({ message: "Failed to update reactions" });
+    }
+  }
+
+  // Replies need a parent the sender can see, not deleted, in the same
+  // conversation
+  async checkReplyTarget(replyTo, username, conversation) {
+    if (!mongoose.isValidObjectId(replyTo)) {
+      return { status: 400, body: { message: "Invalid replyTo message id" } };
+    }
+
+    await messageService.ensurePersisted(
+      (message) => message._id.toString() === String(replyTo)
+    );
+
+    const parent = await messageRepository.getMessageById(replyTo, username);
+    if (!parent) {
+      return { status: 404, body: { message: "Parent message not found" } };
+    }
+    if (parent.deleted) {
+      return {
+        status: 409,
+        body: { message: "Parent message has been deleted" },
+      };
+    }
+
+    if (
+      parent.conversationId &&
+      (!conversation ||
+        conversation._id.toString() !== parent.conversationId.toString())
+    ) {
+      return {
+        status: 400,
+        body: { message: "Replies must go to the parent's conversation" },
+      };
+    }
+
+    return null;
+  }
+
+  parseDeliverAt(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const deliverAt = new Date(value);
+    const ahead = deliverAt.getTime() - Date.now();
+
+    if (typeof value !== "string" || Number.isNaN(ahead)) {
+      return {
+        status: 400,
+        body: { message: "deliverAt must be an ISO 8601 date" },
+      };
+    }
+
+    if (ahead <= 0 || ahead > this.MAX_SCHEDULE_AHEAD) {
+      return {
+        status: 400,
+        body: { message: "deliverAt must be in the future and within a year" },
+      };
+    }
+
+    return deliverAt;
+  }
+
+  async listScheduledMessages(req, res) {
+    try {
+      const messages = await messageRepository.listScheduledMessages(
+        req.user.username,
+        this.MAX_PAGE_SIZE
+      );
+
+      return res.status(200).json({ messages });
+    } catch (error) {
+      logger.error("Scheduled messages retrieval error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve scheduled messages" });
+    }
+  }
+
+  async rescheduleMessage(req, res) {
+    try {
+      const { messageId } = req.params;
+
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      const deliverAt = this.parseDeliverAt(req.body.deliverAt);
+      if (!deliverAt) {
+        return res.status(400).json({ message: "deliverAt is required" });
+      }
+      if (deliverAt.status) {
+        return res.status(deliverAt.status).json(deliverAt.body);
+      }
+
+      const rescheduled = await messageRepository.rescheduleMessage(
+        messageId,
+        req.user.username,
+        deliverAt
+      );
+      if (!rescheduled) {
+        return res.status(404).json({ message: "Scheduled message not found" });
+      }
+
+      const { previous, message } = rescheduled;
+
+      // Attachments must outlive the message's new expiry, and its bytes
+      // count until then
+      if (message.attachments && message.attachments.length > 0) {
+        const extended = await attachmentRepository.extendExpiry(
+          message.attachments.map((attachment) => attachment.attachmentId),
+          message.expiresAt
+        );
+        if (!extended) {
+          logger.error(
+            `Attachments of scheduled message ${messageId} have been removed`
+          );
+        }
+      }
+
+      await usageRepository
+        .moveStoredBytes(
+          req.user.username,
+          messageSize(previous),
+          previous.expiresAt,
+          message.expiresAt
+        )
+        .catch((err) => logger.error("Usage update error:", err));
+
+      return res.status(200).json(message);
+    } catch (error) {
+      logger.error("Reschedule error:", error);
+      return res.status(500).json({ message: "Failed to reschedule message" });
+    }
+  }
+
+  async cancelScheduledMessage(req, res) {
+    try {
+      const { messageId } = req.params;
+
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      const cancelled = await messageRepository.cancelScheduledMessage(
+        messageId,
+        req.user.username
+      );
+      if (!cancelled) {
+        return res.status(404).json({ message: "Scheduled message not found" });
+      }
+
+      // The message was counted against the quota when it was scheduled
+      await usageRepository
+        .refundMessage(
+          req.user.username,
+          messageSize(cancelled),
+          cancelled.expiresAt,
+          cancelled._id.getTimestamp()
+        )
+        .catch((err) => logger.error("Usage refund error:", err));
+
+      return res.status(200).json({ message: "Scheduled message cancelled" });
+    } catch (error) {
+      logger.error("Cancel scheduled message error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to cancel scheduled message" });
+    }
+  }
+
+  // Attachments must be the sender's own finished uploads, each with a key
+  // envelope for every recipient
+  async resolveAttachments(attachments, recipients, username) {
+    if (attachments === undefined || attachments === null) {
+      return { attachments: [] };
+    }
+
+    if (
+      !Array.isArray(attachments) ||
+      attachments.length > MAX_ATTACHMENTS_PER_MESSAGE
+    ) {
+      return {
+        status: 400,
+        body: {
+          message: `attachments must be an array of at most ${MAX_ATTACHMENTS_PER_MESSAGE} entries`,
+        },
+      };
+    }
+
+    for (const attachment of attachments) {
+      if (
+        !attachment ||
+        !mongoose.isValidObjectId(attachment.attachmentId) ||
+        typeof attachment.recipientKeys !== "object" ||
+        attachment.recipientKeys === null ||
+        Array.isArray(attachment.recipientKeys)
+      ) {
+        return {
+          status: 400,
+          body: {
+            message:
+              "Each attachment needs an attachmentId and a recipientKeys object",
+          },
+        };
+      }
+
+      const missingKeys = recipients.filter(
+        (recipient) => typeof attachment.recipientKeys[recipient] !== "string"
+      );
+      if (missingKeys.length > 0) {
+        return {
+          status: 400,
+          body: {
+            message: "Missing attachment keys",
+            attachmentId: attachment.attachmentId,
+            recipients: missingKeys,
+          },
+        };
+      }
+    }
+
+    const ids = attachments.map((attachment) =>
+      attachment.attachmentId.toString()
+    );
+    if (new Set(ids).size !== ids.length) {
+      return {
+        status: 400,
+        body: { message: "An attachment can only be added once" },
+      };
+    }
+
+    const found = await attachmentRepository.findComplete(ids, username);
+    if (found.length !== ids.length) {
+      return {
+        status: 400,
+        body: { message: "Attachments must be completed uploads of your own" },
+      };
+    }
+
+    const sizes = new Map(
+      found.map((attachment) => [attachment._id.toString(), attachment.size])
+    );
+
+    return {
+      attachments: attachments.map((attachment) => {
+        const keys = {};
+        for (const member of [...recipients, username]) {
+          if (typeof attachment.recipientKeys[member] === "string") {
+            keys[member] = attachment.recipientKeys[member];
+          }
+        }
+
+        return {
+          attachmentId: new mongoose.Types.ObjectId(attachment.attachmentId),
+          size: sizes.get(attachment.attachmentId.toString()),
+          recipientKeys: keys,
+        };
+      }),
+    };
+  }
+
+  // Returns the 413/429 response for a send that would go over quota
+  async checkSendQuota(username, size) {
+    if (size > MAX_MESSAGE_BYTES) {
+      return {
+        status: 413,
+        body: {
+          message: `Messages are limited to ${MAX_MESSAGE_BYTES} bytes`,
+        },
+      };
+    }
+
+    const usage = await usageRepository.getUsage(username);
+
+    if (usage.messagesToday >= MESSAGES_PER_DAY) {
+      return {
+        status: 429,
+        retryAfter: Math.ceil((usage.resetsAt - Date.now()) / 1000),
+        body: {
+          message: `Daily limit of ${MESSAGES_PER_DAY} messages reached`,
+          resetsAt: usage.resetsAt,
+        },
+      };
+    }
+
+    if (usage.storedBytes + size > STORED_BYTES) {
+      return {
+        status: 413,
+        body: {
+          message: `Storage quota of ${STORED_BYTES} bytes exceeded`,
+          storedBytes: usage.storedBytes,
+        },
+      };
+    }
+
+    return null;
+  }
+
+  // Blind-index tokens are opaque keyed hashes; the server only checks
+  // their shape
+  parseSearchTokens(tokens) {
+    if (tokens === undefined || tokens === null) {
+      return { tokens: [] };
+    }
+
+    if (
+      !Array.isArray(tokens) ||
+      tokens.length > this.MAX_SEARCH_TOKENS ||
+      tokens.some(
+        (token) =>
+          typeof token !== "string" ||
+          token.length === 0 ||
+          token.length > this.MAX_SEARCH_TOKEN_LENGTH
+      )
+    ) {
+      return {
+        status: 400,
+        body: {
+          message: `searchTokens must be an array of at most ${this.MAX_SEARCH_TOKENS} strings of up to ${this.MAX_SEARCH_TOKEN_LENGTH} characters`,
+        },
+      };
+    }
+
+    return { tokens: [...new Set(tokens)] };
+  }
+
+  // A timer given with the message wins over the conversation's default
+  resolveExpiry(body, conversation) {
+    const { ttlSeconds, expireAfterRead } = body;
+
+    if (ttlSeconds === undefined || ttlSeconds === null) {
+      const settings = (conversation && conversation.settings) || {};
+      return {
+        ttlSeconds: settings.messageTtlSeconds || null,
+        expireAfterRead: Boolean(
+          settings.messageTtlSeconds && settings.expireAfterRead
+        ),
+      };
+    }
+
+    if (!isValidTtl(ttlSeconds)) {
+      return {
+        status: 400,
+        body: {
+          message: `ttlSeconds must be a whole number between ${MIN_TTL_SECONDS} and ${RETENTION_SECONDS}`,
+        },
+      };
+    }
+
+    if (expireAfterRead !== undefined && typeof expireAfterRead !== "boolean") {
+      return {
+        status: 400,
+        body: { message: "expireAfterRead must be a boolean" },
+      };
+    }
+
+    return { ttlSeconds, expireAfterRead: Boolean(expireAfterRead) };
+  }
+
+  // Expire-after-read timers start counting down on the first read
+  async startReadTimers(messageIds, readAt) {
+    const started = await messageRepository.startReadTimers(messageIds, readAt);
+
+    for (const { _id, expiresAt } of started) {
+      messageService.applyChanges(_id.toString(), { expiresAt });
+    }
+  }
+
+  parsePaging(query) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit) || 50, 1),
+      this.MAX_PAGE_SIZE
+    );
+
+    if (query.before && query.after) {
+      return { error: "Use either before or after, not both" };
+    }
+
+    const before = query.before ? decodeCursor(query.before) : null;
+    const after = query.after ? decodeCursor(query.after) : null;
+
+    if ((query.before && !before) || (query.after && !after)) {
+      return { error: "Invalid cursor" };
+    }
+
+    return {
+      before,
+      after,
+      limit,
+      includeTotal: query.includeTotal === "true",
+    };
+  }
+
+  async getThread(req, res) {
+    try {
+      const { messageId } = req.params;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      const paging = this.parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({ message: paging.error });
+      }
+
+      await messageService.ensurePersisted(
+        (message) =>
+          message._id.toString() === messageId ||
+          String(message.replyTo) === messageId
+      );
+
+      const parent = await messageRepository.getMessageById(
+        messageId,
+        username
+      );
+      if (!parent) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+
+      const result = await messageRepository.getMessageHistory(username, {
+        ...paging,
+        replyTo: messageId,
+      });
+
+      return res.status(200).json({
+        parent: messageRepository.withholdViewOnce([parent], username)[0],
+        ...result,
+      });
+    } catch (error) {
+      logger.error("Thread retrieval error:", error);
+      return res.status(500).json({ message: "Failed to retrieve thread" });
+    }
+  }
+
+  async searchMessages(req, res) {
+    try {
+      const username = req.user.username;
+      const { sender, conversationId, replyTo } = req.query;
+
+      const paging = this.parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({ message: paging.error });
+      }
+
+      const flags = {};
+      for (const name of ["hasAttachment", "unread"]) {
+        const value = req.query[name];
+        if (value === undefined) continue;
+        if (value !== "true" && value !== "false") {
+          return res
+            .status(400)
+            .json({ message: `${name} must be true or false` });
+        }
+        flags[name] = value === "true";
+      }
+
+      const dates = {};
+      for (const name of ["from", "to"]) {
+        if (req.query[name] === undefined) continue;
+        dates[name] = new Date(req.query[name]);
+        if (isNaN(dates[name].getTime())) {
+          return res
+            .status(400)
+            .json({ message: `${name} must be an ISO 8601 date` });
+        }
+      }
+
+      if (replyTo !== undefined && !mongoose.isValidObjectId(replyTo)) {
+        return res.status(400).json({ message: "Invalid replyTo message id" });
+      }
+
+      // Tokens come comma-separated or as a repeated parameter
+      const rawTokens = [].concat(req.query.tokens || []);
+      const searchTokens = this.parseSearchTokens(
+        rawTokens.flatMap((value) => String(value).split(",")).filter(Boolean)
+      );
+      if (searchTokens.status) {
+        return res.status(searchTokens.status).json(searchTokens.body);
+      }
+
+      const accessError = await this.checkConversationAccess(
+        conversationId,
+        username
+      );
+      if (accessError) {
+        return res.status(accessError.status).json(accessError.body);
+      }
+
+      // Unread state lives on receipts, which batched messages do not have
+      // yet
+      if (flags.unread !== undefined) {
+        await messageService.ensurePersisted((message) =>
+          message.recipients.includes(username)
+        );
+      }
+
+      const result = await messageRepository.searchMessages(
+        username,
+        {
+          sender: sender ? String(sender) : undefined,
+          conversationId,
+          replyTo,
+          ...dates,
+          ...flags,
+          tokens: searchTokens.tokens,
+        },
+        paging
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      logger.error("Message search error:", error);
+      return res.status(500).json({ message: "Failed to search messages" });
+    }
+  }
+
+  async getMessageHistory(req, res) {
+    try {
+      const paging = this.parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({ message: paging.error });
+      }
+
+      const conversationId = req.query.conversationId || null;
+
+      const accessError = await this.checkConversationAccess(
+        conversationId,
+        req.user.username
+      );
+      if (accessError) {
+        return res.status(accessError.status).json(accessError.body);
+      }
+
+      const result = await messageRepository.getMessageHistory(
+        req.user.username,
+        { ...paging, conversationId }
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      logger.error("Message history retrieval error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve message history" });
+    }
+  }
+
+  async getAllMessages(req, res) {
+    try {
+      const paging = this.parsePaging(req.query);
+      if (paging.error) {
+        return res.status(400).json({ message: paging.error });
+      }
+
+      const result = await messageRepository.getMessageHistory(
+        req.user.username,
+        paging
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      logger.error("All messages retrieval error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve all messages" });
+    }
+  }
+
+  async acknowledgeMessages(req, res) {
+    try {
+      const messageIds = req.params.messageId
+        ? [req.params.messageId]
+        : req.body.messageIds;
+
+      if (!Array.isArray(messageIds) || messageIds.length === 0) {
+        return res.status(400).json({ message: "messageIds are required" });
+      }
+
+      if (messageIds.length > this.MAX_ACKS_PER_REQUEST) {
+        return res.status(400).json({
+          message: `At most ${this.MAX_ACKS_PER_REQUEST} messages can be acknowledged at once`,
+        });
+      }
+
+      if (!messageIds.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      await messageService.acknowledgeMessages(messageIds, req.user.username);
+
+      return res.status(200).json({ acknowledged: messageIds });
+    } catch (error) {
+      logger.error("Message acknowledgement error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to acknowledge messages" });
+    }
+  }
+
+  async markMessageAsRead(req, res) {
+    try {
+      const { messageId } = req.params;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      await messageService.ensurePersisted(
+        (message) => message._id.toString() === messageId
+      );
+
+      const receipt = await messageRepository.markMessageAsRead(
+        messageId,
+        username
+      );
+
+      if (receipt) {
+        await this.startReadTimers([receipt.messageId], receipt.readAt);
+
+        messageService.notifySenders("read-receipt", [receipt], {
+          reader: username,
+          readAt: receipt.readAt,
+        });
+      }
+
+      return res.status(200).json({ message: "Message marked as read" });
+    } catch (error) {
+      logger.error("Message read status error:", error);
+      return res.status(500).json({ message: "Failed to update read status" });
+    }
+  }
+
+  async markReadUpTo(req, res) {
+    try {
+      const { messageId } = req.body;
+      const username = req.user.username;
+
+      if (!messageId || !mongoose.isValidObjectId(messageId)) {
+        return res
+          .status(400)
+          .json({ message: "A valid messageId is required" });
+      }
+
+      await messageService.ensurePersisted((message) =>
+        message.recipients.includes(username)
+      );
+
+      const message = await messageRepository.getMessageById(
+        messageId,
+        username
+      );
+      if (!message) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+
+      const { receipts, readAt } = await messageRepository.markReadUpTo(
+        message,
+        username
+      );
+
+      if (receipts.length > 0) {
+        await this.startReadTimers(
+          receipts.map((receipt) => receipt.messageId),
+          readAt
+        );
+      }
+
+      messageService.notifySenders("read-receipt", receipts, {
+        reader: username,
+        readAt,
+      });
+
+      return res.status(200).json({
+        message: "Messages marked as read",
+        count: receipts.length,
+      });
+    } catch (error) {
+      logger.error("Bulk read status error:", error);
+      return res.status(500).json({ message: "Failed to update read status" });
+    }
+  }
+
+  async getReceipts(req, res) {
+    try {
+      const { messageId } = req.params;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      await messageService.ensurePersisted(
+        (message) => message._id.toString() === messageId
+      );
+
+      if (!(await messageRepository.isSender(messageId, username))) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+
+      const receipts = await messageRepository.getReceipts(messageId);
+
+      return res.status(200).json({ messageId, receipts });
+    } catch (error) {
+      logger.error("Message receipts error:", error);
+      return res.status(500).json({ message: "Failed to retrieve receipts" });
+    }
+  }
+
+  async getUnreadCount(req, res) {
+    try {
+      const counts = await messageRepository.getUnreadCounts(req.user.username);
+
+      return res.status(200).json(counts);
+    } catch (error) {
+      logger.error("Unread count error:", error);
+      return res
+        .status(500)
+        .json({ message: "Failed to retrieve unread counts" });
+    }
+  }
+
+  async getMessageById(req, res) {
+    try {
+      const { messageId } = req.params;
+      const username = req.user.username;
+
+      if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({ message: "Invalid message id" });
+      }
+
+      await messageService.ensurePersisted(
+        (message) => message._id.toString() === messageId
+      );
+
+      const message = await messageRepository.getMessageById(
+        messageId,
+        username
+      );
+
+      if (!message) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+
+      if (message.viewOnce) {
+        await messageService.consumeViewOnce([message], username);
+      }
 
       return res.status(200).json(message);
     } catch (error) {
@@ -201,4 +1777,4 @@ class MessageController {
   }
 }
 
-module.exports = new MessageController();
\ No newline at end of file
+module.exports = new MessageController();
@@ -1,5 +1,14 @@
 const logger = require("../utils/logger");
 const userManagementRepository = require("../repositories/UserManagementRepository");
+const usageRepository = require("../repositories/UsageRepository");
+const attachmentRepository = require("../repositories/AttachmentRepository");
+const {
+  MESSAGES_PER_DAY,
+  STORED_BYTES,
+  ATTACHMENT_BYTES,
+  RECIPIENTS_PER_MESSAGE,
+  MAX_MESSAGE_BYTES,
+} = require("../config/quota.config");
 
 class UserManagementController {
   async getAllPublicKeys(req, res) {
@@ -36,6 +45,31 @@ class UserManagementController {
       return res.status(500).json({ message: "Failed to update public key" });
     }
   }
+
+  async getUsage(req, res) {
+    try {
+      const username = req.user.username;
+      const [usage, attachmentBytes] = await Promise.all([
+        usageRepository.getUsage(username),
+        attachmentRepository.totalBytes(username),
+      ]);
+
+      return res.status(200).json({
+        messagesToday: {
+          used: usage.messagesToday,
+          limit: MESSAGES_PER_DAY,
+          resetsAt: usage.resetsAt,
+        },
+        storedBytes: { used: usage.storedBytes, limit: STORED_BYTES },
+        attachmentBytes: { used: attachmentBytes, limit: ATTACHMENT_BYTES },
+        recipientsPerMessage: { limit: RECIPIENTS_PER_MESSAGE },
+        messageBytes: { limit: MAX_MESSAGE_BYTES },
+      });
+    } catch (error) {
+      logger.error("Error fetching usage:", error);
+      return res.status(500).json({ message: "Failed to fetch usage" });
+    }
+  }
 }
 
 module.exports = new UserManagementController();
\ No newline at end of file
@@ -12,7 +12,10 @@ const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/user");
 const messageRoutes = require("./routes/messages");
 const keyRoutes = require("./routes/keys");
+const conversationRoutes = require("./routes/conversations");
+const attachmentRoutes = require("./routes/attachments");
 
+const clusterBus = require("./services/ClusterBus");
 const { setupServerKeys } = require("./utils/cryptography");
 const logger = require("./utils/logger");
 
@@ -88,16 +91,29 @@ if (cluster.isMaster) {
   const workerCount = numCPUs > 1 ? numCPUs - 1 : 1;
   logger.info(`Starting ${workerCount} workers`);
 
+  // Each worker keeps its message outbox under a stable slot number so a
+  // replacement worker replays what the dead one had not saved yet
+  const workerSlots = {};
+  const forkWorker = (slot) => {
+    const worker = cluster.fork({ WORKER_SLOT: slot });
+    workerSlots[worker.id] = slot;
+  };
+
   for (let i = 0; i < workerCount; i++) {
-    cluster.fork();
+    forkWorker(i);
   }
 
+  clusterBus.relay(cluster);
+
   cluster.on("exit", (worker, code, signal) => {
     logger.warn(
       `Worker ${worker.process.pid} died with code ${code} and signal ${signal}`
     );
     logger.info("Starting a new worker");
-    cluster.fork();
+
+    const slot = workerSlots[worker.id];
+    delete workerSlots[worker.id];
+    forkWorker(slot);
   });
 
   let totalConnections = 0;
@@ -144,6 +160,20 @@ if (cluster.isMaster) {
   const http = require("http");
   const server = http.createServer(app);
 
+  const messageService = require("./services/MessageService");
+  const webSocketService = require("./services/WebSocketService");
+  const messageScheduler = require("./services/MessageScheduler");
+  const attachmentCleaner = require("./services/AttachmentCleaner");
+  const sessionService = require("./services/SessionService");
+  webSocketService.attach(server);
+
+  // Event streams opened under a session end with it
+  sessionService.on("revoked", (sessionIds) =>
+    messageService.closeSessionStreams(sessionIds)
+  );
+
+  clusterBus.init();
+
   let activeConnections = 0;
   let isShuttingDown = false;
 
@@ -165,6 +195,10 @@ if (cluster.isMaster) {
       logger.info(`Worker ${process.pid} received shutdown signal`);
       isShuttingDown = true;
 
+      messageScheduler.stop();
+      attachmentCleaner.stop();
+      webSocketService.close();
+
       server.close(() => {
         logger.info(`Worker ${process.pid} closed server`);
 
@@ -214,6 +248,7 @@ if (cluster.isMaster) {
   app.use(
     cors({
       maxAge: 600,
+      exposedHeaders: ["Idempotent-Replayed"],
     })
   );
 
@@ -289,6 +324,8 @@ if (cluster.isMaster) {
   app.use("/api/users", userRoutes);
   app.use("/api/messages", messageRoutes);
   app.use("/api/keys", keyRoutes);
+  app.use("/api/conversations", conversationRoutes);
+  app.use("/api/attachments", attachmentRoutes);
 
   // Serve static files from the React build in production
   if (process.env.NODE_ENV === "production") {
@@ -334,9 +371,13 @@ if (cluster.isMaster) {
       wtimeoutMS: 5000,
       bufferCommands: true,
     })
-    .then(() => {
+    .then(async () => {
       logger.info(`Worker ${process.pid} connected to MongoDB`);
 
+      await messageService.recoverOutbox();
+      messageScheduler.start();
+      attachmentCleaner.start();
+
       server.listen(PORT, () => {
         logger.info(`Worker ${process.pid} listening on port ${PORT}`);
       });
@@ -377,6 +418,9 @@ if (cluster.isMaster) {
     isShuttingDown = true;
 
     clearInterval(memoryMonitor);
+    messageScheduler.stop();
+    attachmentCleaner.stop();
+    webSocketService.close();
 
     server.close(() => {
       logger.info(`Server closed for worker ${process.pid}`);
@@ -1,42 +1,26 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const logger = require("../utils/logger");
+const sessionService = require("../services/SessionService");
+const tokenRevocationService = require("../services/TokenRevocationService");
 const { JWT_SECRET } = require('../config/auth.config');
 
-const tokenBlacklist = new Map();
-
-setInterval(() => {
-  const now = Math.floor(Date.now() / 1000);
-  let removed = 0;
+// Revocation is tracked per token through its jti claim
+const verifyToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
 
-  for (const [token, expiry] of tokenBlacklist.entries()) {
-    if (now >= expiry) {
-      tokenBlacklist.delete(token);
-      removed++;
+    if (!decoded.jti) {
+      throw new Error("Token has no jti");
     }
-  }
-
-  if (removed > 0) {
-    logger.debug(`Cleaned up ${removed} expired blacklist tokens`);
-  }
-}, 300000);
-
-const isTokenBlacklisted = (token) => {
-  if (!token) return false;
 
-  const tokenKey = token.substring(0, 10);
-  return tokenBlacklist.has(tokenKey);
-};
-
-const verifyToken = (token) => {
-  try {
-    if (isTokenBlacklisted(token)) {
+    if (await tokenRevocationService.isRevoked(decoded.jti)) {
       throw new Error("Token has been revoked");
     }
 
-    return jwt.verify(token, JWT_SECRET, {
-      algorithms: ["HS256"],
-    });
+    return decoded;
   } catch (err) {
     logger.error("Token verification error:", err.message);
     throw err;
@@ -104,7 +88,7 @@ const authenticate = async (req, res, next) => {
     }
 
     try {
-      const decoded = verifyToken(token);
+      const decoded = await verifyToken(token);
       
       if (!decoded || !decoded.username) {
         return res.status(401).json({ message: "Invalid token" });
@@ -116,9 +100,19 @@ const authenticate = async (req, res, next) => {
         return res.status(401).json({ message: "User not found" });
       }
 
+      // Tokens are bound to the login session that issued them
+      const sessionActive =
+        decoded.sid &&
+        (await sessionService.isActive(decoded.sid, decoded.username, req.ip));
+
+      if (!sessionActive) {
+        return res.status(401).json({ message: "Session has been revoked" });
+      }
+
       req.user = {
         username: user.username,
         publicKey: user.publicKey,
+        sessionId: decoded.sid,
       };
 
       next();
@@ -138,16 +132,16 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-const blacklistToken = (token) => {
+const blacklistToken = async (token) => {
   try {
     if (!token) return false;
 
-    const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
-
-    const tokenKey = token.substring(0, 10);
-    tokenBlacklist.set(tokenKey, decoded.exp);
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      algorithms: ["HS256"],
+      ignoreExpiration: true,
+    });
 
-    return true;
+    return await tokenRevocationService.revoke(decoded);
   } catch (err) {
     logger.error("Token blacklisting error:", err.message);
     return false;
@@ -157,4 +151,6 @@ const blacklistToken = (token) => {
 module.exports = {
   authenticate,
   blacklistToken,
+  verifyToken,
+  getUser,
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// An encrypted blob uploaded in fixed-size chunks. The content lives in the
+// attachment store; this document tracks the upload and who may read it.
+// expiresAt starts as the upload deadline and is pushed out to the expiry
+// of every message that references the attachment.
+const attachmentSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    receivedChunks: [
+      {
+        type: Number,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["uploading", "complete"],
+      default: "uploading",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+attachmentSchema.index({ owner: 1, createdAt: -1 });
+attachmentSchema.index({ expiresAt: 1 });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+Attachment.createIndexes().catch((err) => {
+  console.error("Error creating attachment indexes:", err);
+});
+
+module.exports = Attachment;
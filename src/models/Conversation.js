@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+const ROLES = ["owner", "admin", "member"];
+
+const memberSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "member",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["direct", "group"],
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    // Sorted "alice:bob" pair so each direct chat exists only once
+    directKey: {
+      type: String,
+    },
+    members: [memberSchema],
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+    // Disappearing-message timer applied to messages sent without one
+    settings: {
+      messageTtlSeconds: {
+        type: Number,
+        default: null,
+      },
+      expireAfterRead: {
+        type: Boolean,
+        default: false,
+      },
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+conversationSchema.index({ "members.username": 1, lastMessageAt: -1 });
+conversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $type: "string" } } }
+);
+
+conversationSchema.statics.ROLES = ROLES;
+
+conversationSchema.statics.directKeyFor = function (a, b) {
+  return [a, b].sort().join(":");
+};
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+Conversation.createIndexes().catch((err) => {
+  console.error("Error creating conversation indexes:", err);
+});
+
+module.exports = Conversation;
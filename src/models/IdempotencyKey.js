@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// A send request remembered by its client-supplied key, so a retry gets the
+// original response instead of creating the message again. Used when Redis
+// is not configured, and as the fallback while it is unreachable.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    sender: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Unset while the original request is still being handled
+    status: {
+      type: Number,
+      default: null,
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+idempotencyKeySchema.index({ sender: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+IdempotencyKey.createIndexes().catch((err) => {
+  console.error("Error creating idempotency key indexes:", err);
+});
+
+module.exports = IdempotencyKey;
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { expiresAtFor } = require("../utils/expiry");
+const { messageSize } = require("../utils/usage");
+const { MAX_MESSAGE_BYTES } = require("../config/quota.config");
 
 const messageSchema = new mongoose.Schema(
   {
@@ -12,13 +15,23 @@ const messageSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      default: null,
+    },
+    // A message deleted for everyone keeps only its metadata
     encryptedContent: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.deleted && !this.contentPurgedAt;
+      },
     },
     iv: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.deleted && !this.contentPurgedAt;
+      },
     },
     recipients: [
       {
@@ -36,29 +49,126 @@ const messageSchema = new mongoose.Schema(
       default: Date.now,
       index: true,
     },
-    readBy: [
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    deleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Users who deleted the message for themselves
+    hiddenFor: [
+      {
+        type: String,
+      },
+    ],
+    // View-once messages lose each recipient's key once they have fetched
+    // it, and the ciphertext once everyone has
+    viewOnce: {
+      type: Boolean,
+      default: false,
+    },
+    viewedBy: [
+      {
+        type: String,
+      },
+    ],
+    contentPurgedAt: {
+      type: Date,
+      default: null,
+    },
+    // Threads: a reply points at its parent, which keeps count
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null,
+    },
+    // Scheduled messages stay hidden until the scheduler delivers them;
+    // messages sent straight away have no status
+    status: {
+      type: String,
+      enum: ["scheduled", "delivering", "sent"],
+    },
+    deliverAt: {
+      type: Date,
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    // Encrypted files uploaded through /api/attachments, each with its own
+    // key envelope per recipient
+    attachments: [
       {
-        username: {
-          type: String,
+        _id: false,
+        attachmentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Attachment",
         },
-        readAt: {
-          type: Date,
-          default: Date.now,
+        size: Number,
+        recipientKeys: {
+          type: Map,
+          of: String,
+        },
+      },
+    ],
+    // Blind index: keyed hashes of keywords computed by the clients, so
+    // exact-match search works without the server seeing any plaintext
+    searchTokens: {
+      type: [String],
+      default: undefined,
+    },
+    // Reactions grouped by payload, each with the users who sent it
+    reactions: [
+      {
+        _id: false,
+        reaction: String,
+        count: Number,
+        users: [String],
+      },
+    ],
+    // Earlier ciphertexts of an edited message, oldest first
+    versions: [
+      {
+        _id: false,
+        encryptedContent: String,
+        iv: String,
+        recipientKeys: {
+          type: Map,
+          of: String,
         },
+        createdAt: Date,
       },
     ],
-    isUnread: {
+    // Disappearing messages: the timer runs from sending, or from the
+    // first read with expireAfterRead
+    ttlSeconds: {
+      type: Number,
+      default: null,
+    },
+    expireAfterRead: {
       type: Boolean,
-      default: true,
-      index: true,
+      default: false,
     },
     expiresAt: {
       type: Date,
       expires: 0,
       default: function () {
-        const date = new Date();
-        date.setDate(date.getDate() + 90);
-        return date;
+        return expiresAtFor(this);
       },
     },
   },
@@ -74,13 +184,33 @@ const messageSchema = new mongoose.Schema(
   }
 );
 
-messageSchema.index({ recipients: 1, timestamp: -1 });
-messageSchema.index({ sender: 1, timestamp: -1 });
-messageSchema.index({ "readBy.username": 1, timestamp: -1 });
+// _id breaks timestamp ties so cursor paging can walk these indexes
+messageSchema.index({ recipients: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ sender: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ conversationId: 1, timestamp: -1, _id: -1 });
+messageSchema.index(
+  { replyTo: 1, timestamp: -1, _id: -1 },
+  { partialFilterExpression: { replyTo: { $type: "objectId" } } }
+);
+messageSchema.index({ recipients: 1, sender: 1, timestamp: -1, _id: -1 });
+messageSchema.index(
+  { searchTokens: 1, timestamp: -1, _id: -1 },
+  { partialFilterExpression: { searchTokens: { $exists: true } } }
+);
+messageSchema.index(
+  { "attachments.attachmentId": 1 },
+  { partialFilterExpression: { "attachments.0": { $exists: true } } }
+);
 
 messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
-
-messageSchema.index({ isUnread: 1, timestamp: -1 });
+messageSchema.index(
+  { status: 1, deliverAt: 1 },
+  { partialFilterExpression: { status: { $in: ["scheduled", "delivering"] } } }
+);
+messageSchema.index(
+  { sender: 1, deliverAt: 1 },
+  { partialFilterExpression: { status: "scheduled" } }
+);
 
 messageSchema.statics.getMessagesForUser = async function (
   username,
@@ -90,40 +220,17 @@ messageSchema.statics.getMessagesForUser = async function (
   const skip = (page - 1) * limit;
 
   return this.find({ recipients: username })
-    .select("_id sender encryptedContent iv recipientKeys timestamp isUnread")
+    .select("_id sender encryptedContent iv recipientKeys timestamp")
     .sort({ timestamp: -1 })
     .skip(skip)
     .limit(limit)
     .lean();
 };
 
-messageSchema.statics.markAsRead = async function (messageId, username) {
-  return this.updateOne(
-    {
-      _id: messageId,
-      recipients: username,
-      "readBy.username": { $ne: username },
-    },
-    {
-      $addToSet: {
-        readBy: {
-          username,
-          readAt: new Date(),
-        },
-      },
-      $set: { isUnread: false },
-    }
-  );
-};
-
+// The send path checks this before batching; documents saved one at a time
+// get the same limit
 messageSchema.pre("save", function (next) {
-  const approximateSize =
-    (this.encryptedContent ? this.encryptedContent.length : 0) +
-    (this.iv ? this.iv.length : 0) +
-    JSON.stringify(this.recipientKeys).length +
-    JSON.stringify(this.recipients).length;
-
-  if (approximateSize > 15 * 1024 * 1024) {
+  if (messageSize(this.toObject({ flattenMaps: true })) > MAX_MESSAGE_BYTES) {
     return next(new Error("Message size exceeds maximum allowed size"));
   }
 
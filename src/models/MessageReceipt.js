@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// Delivery and read state of one message for one recipient. Written
+// alongside the message when its batch is flushed; deliveredAt is set once
+// the client acknowledges it, readAt once the recipient reads it and
+// hiddenAt once it is deleted for them.
+const messageReceiptSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    sender: {
+      type: String,
+      required: true,
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Copied from the message so undelivered mail can be listed in order
+    // without touching the messages collection
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    viewedAt: {
+      type: Date,
+      default: null,
+    },
+    // Follows the message's expiry so receipts go away with it
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+messageReceiptSchema.index({ messageId: 1, username: 1 }, { unique: true });
+messageReceiptSchema.index({ username: 1, deliveredAt: 1, timestamp: 1 });
+messageReceiptSchema.index({ username: 1, readAt: 1, timestamp: 1 });
+messageReceiptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MessageReceipt = mongoose.model("MessageReceipt", messageReceiptSchema);
+
+MessageReceipt.createIndexes().catch((err) => {
+  console.error("Error creating message receipt indexes:", err);
+});
+
+module.exports = MessageReceipt;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Refresh tokens are stored as SHA-256 hashes. Every refresh replaces the
+// token with a new one in the same family; a used token is kept until it
+// expires so that presenting it again can be recognised as reuse.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+RefreshToken.createIndexes().catch((err) => {
+  console.error("Error creating refresh token indexes:", err);
+});
+
+module.exports = RefreshToken;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Access tokens revoked before they expire, by jti. Kept whether or not Redis
+// is configured; each record disappears once its token would have expired.
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    username: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+RevokedToken.createIndexes().catch((err) => {
+  console.error("Error creating revoked token indexes:", err);
+});
+
+module.exports = RevokedToken;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// One record per login. Its _id travels in the access token as the `sid`
+// claim and doubles as the family id of the login's refresh tokens, so
+// revoking a session also ends its refresh chain.
+const sessionSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+    },
+    deviceName: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // Pushed forward on every refresh; idle sessions expire with their
+    // refresh tokens
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+sessionSchema.index({ username: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+Session.createIndexes().catch((err) => {
+  console.error("Error creating session indexes:", err);
+});
+
+module.exports = Session;
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Running totals behind a user's quotas. Message bytes are filed under the
+// day the messages expire, so storage frees itself up as they disappear
+// without anything having to walk the messages.
+const usageSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The day messagesToday counts for
+    day: {
+      type: String,
+      default: null,
+    },
+    messagesToday: {
+      type: Number,
+      default: 0,
+    },
+    storedBytes: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+const Usage = mongoose.model("Usage", usageSchema);
+
+Usage.createIndexes().catch((err) => {
+  console.error("Error creating usage indexes:", err);
+});
+
+module.exports = Usage;
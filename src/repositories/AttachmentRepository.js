@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const Attachment = require("../models/Attachment");
+const {
+  CHUNK_SIZE,
+  UPLOAD_TTL_SECONDS,
+} = require("../config/attachment.config");
+
+class AttachmentRepository {
+  async createUpload(owner, size) {
+    const attachment = await Attachment.create({
+      owner,
+      size,
+      chunkSize: CHUNK_SIZE,
+      totalChunks: Math.ceil(size / CHUNK_SIZE),
+      expiresAt: new Date(Date.now() + UPLOAD_TTL_SECONDS * 1000),
+    });
+
+    return attachment.toObject();
+  }
+
+  // Unfinished uploads count too, so a quota cannot be dodged by splitting
+  // uploads up
+  async totalBytes(owner) {
+    const [total] = await Attachment.aggregate([
+      { $match: { owner, expiresAt: { $gt: new Date() } } },
+      { $group: { _id: null, bytes: { $sum: "$size" } } },
+    ]).exec();
+
+    return total ? total.bytes : 0;
+  }
+
+  async findById(attachmentId) {
+    return Attachment.findById(attachmentId).lean().exec();
+  }
+
+  async addChunk(attachmentId, index) {
+    return Attachment.findOneAndUpdate(
+      { _id: attachmentId, status: "uploading" },
+      { $addToSet: { receivedChunks: index } },
+      { new: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  async markComplete(attachmentId) {
+    return Attachment.updateOne(
+      { _id: attachmentId, status: "uploading" },
+      { $set: { status: "complete", completedAt: new Date() } }
+    ).exec();
+  }
+
+  async findComplete(attachmentIds, owner) {
+    return Attachment.find(
+      {
+        _id: { $in: attachmentIds },
+        owner,
+        status: "complete",
+      },
+      "_id size"
+    )
+      .lean()
+      .exec();
+  }
+
+  // Keeps attachments around for as long as a message that references them.
+  // Returns false if any of them has been removed in the meantime.
+  async extendExpiry(attachmentIds, expiresAt) {
+    const ids = attachmentIds.map((id) => new mongoose.Types.ObjectId(id));
+
+    const result = await Attachment.updateMany(
+      { _id: { $in: ids }, expiresAt: { $gt: new Date() } },
+      { $max: { expiresAt } }
+    ).exec();
+
+    return result.matchedCount === ids.length;
+  }
+
+  // Removes the record first, so a message cannot pick the attachment up
+  // again while its content is being deleted
+  async takeExpired(now) {
+    return Attachment.findOneAndDelete({ expiresAt: { $lte: now } })
+      .select("_id")
+      .lean()
+      .exec();
+  }
+}
+
+module.exports = new AttachmentRepository();
@@ -0,0 +1,239 @@
+const Conversation = require("../models/Conversation");
+
+class ConversationRepository {
+  async findOrCreateDirect(username, otherUsername) {
+    const directKey = Conversation.directKeyFor(username, otherUsername);
+    const now = new Date();
+
+    try {
+      return await Conversation.findOneAndUpdate(
+        { directKey },
+        {
+          $setOnInsert: {
+            type: "direct",
+            directKey,
+            createdBy: username,
+            createdAt: now,
+            members: [
+              { username, role: "member", joinedAt: now },
+              { username: otherUsername, role: "member", joinedAt: now },
+            ],
+          },
+        },
+        { upsert: true, new: true }
+      )
+        .lean()
+        .exec();
+    } catch (error) {
+      // Two concurrent upserts can race on the unique directKey index
+      if (error.code === 11000) {
+        return Conversation.findOne({ directKey }).lean().exec();
+      }
+      throw error;
+    }
+  }
+
+  async createGroup(name, owner, usernames) {
+    const now = new Date();
+    const members = [
+      { username: owner, role: "owner", joinedAt: now },
+      ...usernames
+        .filter((username) => username !== owner)
+        .map((username) => ({ username, role: "member", joinedAt: now })),
+    ];
+
+    const conversation = await Conversation.create({
+      type: "group",
+      name,
+      members,
+      createdBy: owner,
+      createdAt: now,
+    });
+
+    return conversation.toObject();
+  }
+
+  async findForMember(conversationId, username) {
+    return Conversation.findOne({
+      _id: conversationId,
+      "members.username": username,
+    })
+      .lean()
+      .exec();
+  }
+
+  async listForUser(username, limit) {
+    return Conversation.find({ "members.username": username })
+      .sort({ lastMessageAt: -1, createdAt: -1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async addMembers(conversationId, usernames, role) {
+    const now = new Date();
+
+    // Skip anyone who is already a member instead of duplicating them
+    return Conversation.findOneAndUpdate(
+      { _id: conversationId, type: "group" },
+      [
+        {
+          $set: {
+            members: {
+              $concatArrays: [
+                "$members",
+                {
+                  $filter: {
+                    input: usernames.map((username) => ({
+                      username,
+                      role,
+                      joinedAt: now,
+                    })),
+                    cond: {
+                      $not: { $in: ["$$this.username", "$members.username"] },
+                    },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      ],
+      { new: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  // If the owner leaves, the longest-standing admin, or else member, takes
+  // over in the same update, so the group is never left without an owner
+  async removeMember(conversationId, username) {
+    return Conversation.findOneAndUpdate(
+      { _id: conversationId, type: "group" },
+      [
+        {
+          $set: {
+            members: {
+              $filter: {
+                input: "$members",
+                cond: { $ne: ["$$this.username", username] },
+              },
+            },
+          },
+        },
+        {
+          $set: {
+            members: {
+              $let: {
+                vars: {
+                  successor: {
+                    $ifNull: [
+                      {
+                        $arrayElemAt: [
+                          {
+                            $filter: {
+                              input: "$members",
+                              cond: { $eq: ["$$this.role", "admin"] },
+                            },
+                          },
+                          0,
+                        ],
+                      },
+                      { $arrayElemAt: ["$members", 0] },
+                    ],
+                  },
+                },
+                in: {
+                  $cond: [
+                    { $in: ["owner", "$members.role"] },
+                    "$members",
+                    {
+                      $map: {
+                        input: "$members",
+                        in: {
+                          $cond: [
+                            {
+                              $eq: ["$$this.username", "$$successor.username"],
+                            },
+                            { $mergeObjects: ["$$this", { role: "owner" }] },
+                            "$$this",
+                          ],
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      ],
+      { new: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  async updateMemberRole(conversationId, username, role) {
+    return Conversation.findOneAndUpdate(
+      { _id: conversationId, type: "group", "members.username": username },
+      { $set: { "members.$.role": role } },
+      { new: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  // Promotes the new owner and demotes the old one to admin in one update;
+  // null if `from` is no longer the owner or `to` no longer a member
+  async transferOwnership(conversationId, from, to) {
+    return Conversation.findOneAndUpdate(
+      {
+        _id: conversationId,
+        type: "group",
+        members: {
+          $all: [
+            { $elemMatch: { username: from, role: "owner" } },
+            { $elemMatch: { username: to } },
+          ],
+        },
+      },
+      {
+        $set: {
+          "members.$[from].role": "admin",
+          "members.$[to].role": "owner",
+        },
+      },
+      {
+        new: true,
+        arrayFilters: [{ "from.username": from }, { "to.username": to }],
+      }
+    )
+      .lean()
+      .exec();
+  }
+
+  async updateSettings(conversationId, settings) {
+    const update = {};
+    for (const [key, value] of Object.entries(settings)) {
+      update[`settings.${key}`] = value;
+    }
+
+    return Conversation.findOneAndUpdate(
+      { _id: conversationId },
+      { $set: update },
+      { new: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  async touch(conversationId, timestamp) {
+    return Conversation.updateOne(
+      { _id: conversationId, lastMessageAt: { $not: { $gt: timestamp } } },
+      { $set: { lastMessageAt: timestamp } }
+    ).exec();
+  }
+}
+
+module.exports = new ConversationRepository();
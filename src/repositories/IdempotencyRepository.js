@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const logger = require("../utils/logger");
+const { getRedisClient } = require("../config/redis.config");
+const { IDEMPOTENCY_WINDOW_SECONDS } = require("../config/messaging.config");
+
+const KEY_PREFIX = "secure-messaging:idempotency:";
+
+// Remembers send requests by sender and client-supplied key. Keys live in
+// Redis when it is configured, so every node sees them, and in MongoDB
+// otherwise or while Redis is unreachable. A record holds the messageId handed out for the key and, once
+// the request has finished, its response.
+class IdempotencyRepository {
+  redisKey(sender, key) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(`${sender}\n${key}`)
+      .digest("hex");
+
+    return `${KEY_PREFIX}${digest}`;
+  }
+
+  async getRedis() {
+    try {
+      return await getRedisClient();
+    } catch (error) {
+      logger.error(
+        "Redis unavailable for idempotency keys, using MongoDB:",
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // Claims the key for a new request. Returns null if the claim succeeded,
+  // otherwise the record of the request that claimed it first.
+  async reserve(sender, key, messageId) {
+    const redis = await this.getRedis();
+
+    if (redis) {
+      const redisKey = this.redisKey(sender, key);
+      const record = JSON.stringify({
+        messageId: messageId.toString(),
+        status: null,
+        response: null,
+      });
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const claimed = await redis.set(redisKey, record, {
+          NX: true,
+          EX: IDEMPOTENCY_WINDOW_SECONDS,
+        });
+        if (claimed) {
+          return null;
+        }
+
+        // The earlier record may have expired in between
+        const existing = await redis.get(redisKey);
+        if (existing) {
+          return JSON.parse(existing);
+        }
+      }
+
+      return null;
+    }
+
+    const now = new Date();
+
+    try {
+      // An expired key the TTL monitor has not removed yet is taken over;
+      // a live one makes the upsert collide with the unique index
+      await IdempotencyKey.updateOne(
+        { sender, key, expiresAt: { $lte: now } },
+        {
+          $set: {
+            messageId,
+            status: null,
+            response: null,
+            expiresAt: new Date(
+              now.getTime() + IDEMPOTENCY_WINDOW_SECONDS * 1000
+            ),
+          },
+        },
+        { upsert: true }
+      ).exec();
+
+      return null;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    return IdempotencyKey.findOne(
+      { sender, key },
+      "-_id messageId status response"
+    )
+      .lean()
+      .exec();
+  }
+
+  async complete(sender, key, messageId, status, response) {
+    const redis = await this.getRedis();
+
+    if (redis) {
+      return redis.set(
+        this.redisKey(sender, key),
+        JSON.stringify({ messageId: messageId.toString(), status, response }),
+        { XX: true, KEEPTTL: true }
+      );
+    }
+
+    return IdempotencyKey.updateOne(
+      { sender, key, messageId },
+      { $set: { status, response } }
+    ).exec();
+  }
+
+  // Frees a key whose request failed, so the client can retry it
+  async release(sender, key) {
+    const redis = await this.getRedis();
+
+    if (redis) {
+      return redis.del(this.redisKey(sender, key));
+    }
+
+    return IdempotencyKey.deleteOne({ sender, key, status: null }).exec();
+  }
+}
+
+module.exports = new IdempotencyRepository();
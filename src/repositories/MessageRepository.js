@@ -1,100 +1,1008 @@
 const Message = require("../models/Message");
 const User = require("../models/User");
+const MessageReceipt = require("../models/MessageReceipt");
 const mongoose = require("mongoose");
+const { encodeCursor, cursorFilter } = require("../utils/cursor");
+const {
+  expiresAtFor,
+  expiresAtExpression,
+  notExpired,
+} = require("../utils/expiry");
+const { MAX_REACTIONS_PER_USER } = require("../config/messaging.config");
+
+const MESSAGE_FIELDS =
+  "_id sender conversationId encryptedContent iv recipientKeys recipients timestamp editedAt deleted deletedAt expiresAt viewOnce contentPurgedAt replyTo replyCount lastReplyAt reactions attachments";
+const MESSAGE_PROJECTION = Object.fromEntries(
+  MESSAGE_FIELDS.split(" ").map((field) => [field, 1])
+);
+const REACTION_FIELDS = "_id sender recipients conversationId reactions";
+const MAX_COUNT = 10000;
+const MAX_VERSIONS = 50;
+const PENDING_STATUSES = ["scheduled", "delivering"];
+const COUNT_TIMEOUT_MS = 500;
 
 class MessageRepository {
   async createMessageId() {
     return new mongoose.Types.ObjectId();
   }
 
-  async getAllUsers() {
-    return User.find({}, "username").lean().exec();
+  async findExistingUsernames(usernames) {
+    const users = await User.find({ username: { $in: usernames } }, "username")
+      .lean()
+      .exec();
+    return users.map((user) => user.username);
+  }
+
+  // The Mongo TTL monitor only runs once a minute, so reads filter out
+  // expired messages themselves
+  visibleTo(username) {
+    return {
+      $or: [{ recipients: username }, { sender: username }],
+      hiddenFor: { $ne: username },
+      status: { $nin: PENDING_STATUSES },
+      ...notExpired(),
+    };
   }
 
-  async saveBulkMessages(batch) {
+  async saveBulkMessages(batch, receipts = []) {
     if (batch.length === 0) return { success: true };
 
-    const bulkOps = batch.map((message) => ({
-      insertOne: { document: message },
+    // Upserts keyed by _id make a replayed or retried batch a no-op for the
+    // messages that already made it in
+    const bulkOps = batch.map(({ _id, ...document }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $setOnInsert: document },
+        upsert: true,
+      },
     }));
 
-    return Message.collection.bulkWrite(bulkOps, {
+    const result = await Message.collection.bulkWrite(bulkOps, {
       ordered: false,
     });
+
+    if (receipts.length > 0) {
+      await MessageReceipt.collection.bulkWrite(
+        receipts.map(({ messageId, username, ...fields }) => ({
+          updateOne: {
+            filter: { messageId, username },
+            update: { $setOnInsert: fields },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+
+    return result;
+  }
+
+  async getMessageHistory(
+    username,
+    {
+      before,
+      after,
+      limit,
+      conversationId = null,
+      replyTo = null,
+      includeTotal = false,
+    }
+  ) {
+    const filter = this.visibleTo(username);
+    if (conversationId) {
+      filter.conversationId = new mongoose.Types.ObjectId(conversationId);
+    }
+    if (replyTo) {
+      filter.replyTo = new mongoose.Types.ObjectId(replyTo);
+    }
+
+    return this.findPage(filter, username, {
+      before,
+      after,
+      limit,
+      includeTotal,
+    });
+  }
+
+  // Metadata search; every filter narrows visibleTo, so search never shows
+  // more than history does. tokens are blind-index hashes that must all be
+  // present on a message.
+  async searchMessages(
+    username,
+    {
+      sender,
+      conversationId,
+      replyTo,
+      from,
+      to,
+      hasAttachment,
+      unread,
+      tokens,
+    },
+    paging
+  ) {
+    const filter = this.visibleTo(username);
+
+    if (sender) {
+      filter.sender = sender;
+    }
+    if (conversationId) {
+      filter.conversationId = new mongoose.Types.ObjectId(conversationId);
+    }
+    if (replyTo) {
+      filter.replyTo = new mongoose.Types.ObjectId(replyTo);
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lt = to;
+    }
+    if (hasAttachment !== undefined) {
+      filter["attachments.0"] = { $exists: hasAttachment };
+    }
+    if (tokens && tokens.length > 0) {
+      filter.searchTokens = { $all: tokens };
+    }
+
+    return this.findPage(
+      filter,
+      username,
+      paging,
+      unread === undefined ? [] : this.unreadStages(username, unread)
+    );
+  }
+
+  // Aggregation stages that keep only the messages the caller has, or has
+  // not, left unread, joined against their receipts one message at a time
+  unreadStages(username, unread) {
+    return [
+      {
+        $lookup: {
+          from: MessageReceipt.collection.name,
+          let: { messageId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$messageId", "$$messageId"] },
+                username,
+                readAt: null,
+                hiddenAt: null,
+              },
+            },
+            { $project: { _id: 1 } },
+          ],
+          as: "unreadReceipts",
+        },
+      },
+      { $match: { "unreadReceipts.0": { $exists: unread } } },
+    ];
+  }
+
+  // Extra stages, such as unreadStages, turn the query into an aggregation
+  // that runs them between sorting and limiting
+  async findPage(
+    filter,
+    username,
+    { before, after, limit, includeTotal },
+    stages = []
+  ) {
+    const cursor = after || before;
+    const query = cursor
+      ? { $and: [filter, cursorFilter(cursor, after ? "after" : "before")] }
+      : filter;
+
+    // Paging forwards walks the index ascending; results are flipped back
+    // so every page is newest-first.
+    const direction = after ? 1 : -1;
+    const sort = { timestamp: direction, _id: direction };
+
+    const messages =
+      stages.length > 0
+        ? await Message.aggregate([
+            { $match: query },
+            { $sort: sort },
+            ...stages,
+            { $limit: limit + 1 },
+            { $project: MESSAGE_PROJECTION },
+          ]).exec()
+        : await Message.find(query)
+            .select(MESSAGE_FIELDS)
+            .sort(sort)
+            .limit(limit + 1)
+            .lean()
+            .exec();
+
+    const hasMore = messages.length > limit;
+    if (hasMore) {
+      messages.pop();
+    }
+    if (after) {
+      messages.reverse();
+    }
+
+    const result = {
+      messages: await this.withReadState(
+        this.withholdViewOnce(messages, username),
+        username
+      ),
+      hasMore,
+      nextCursor: encodeCursor(messages[messages.length - 1]),
+      prevCursor: encodeCursor(messages[0]),
+    };
+
+    if (includeTotal) {
+      Object.assign(result, await this.countMessages(filter, stages));
+    }
+
+    return result;
   }
 
-  async getMessageHistory(username, page, limit) {
-    const messages = await Message.find({})
-      .select("_id sender encryptedContent iv recipientKeys timestamp isUnread recipients")
-      .sort({ timestamp: -1 })
-      .skip((page - 1) * limit)
+  async countMessages(filter, stages = []) {
+    // Counting a busy user's whole history is expensive, so the count is
+    // capped and time-boxed and reported as approximate.
+    try {
+      const totalMessages =
+        stages.length > 0
+          ? await Message.aggregate([
+              { $match: filter },
+              ...stages,
+              { $limit: MAX_COUNT },
+              { $count: "total" },
+            ])
+              .option({ maxTimeMS: COUNT_TIMEOUT_MS })
+              .exec()
+              .then((counted) => (counted.length > 0 ? counted[0].total : 0))
+          : await Message.countDocuments(filter, {
+              limit: MAX_COUNT,
+              maxTimeMS: COUNT_TIMEOUT_MS,
+            });
+
+      return { totalMessages, approximate: totalMessages >= MAX_COUNT };
+    } catch (error) {
+      return { totalMessages: null, approximate: true };
+    }
+  }
+
+  async getMessagesAfterCursor(username, cursor, conversationId, limit) {
+    const filter = {
+      ...cursorFilter(cursor, "after"),
+      recipients: username,
+      hiddenFor: { $ne: username },
+      status: { $nin: PENDING_STATUSES },
+      ...notExpired(),
+    };
+    if (conversationId) {
+      filter.conversationId = new mongoose.Types.ObjectId(conversationId);
+    }
+
+    return Message.find(filter)
+      .select(MESSAGE_FIELDS)
+      .sort({ timestamp: 1, _id: 1 })
       .limit(limit)
       .lean()
       .exec();
+  }
 
-    // Get total message count from the database
-    const totalMessages = await Message.countDocuments();
-    const totalPages = Math.ceil(totalMessages / limit);
+  async recordReply(parentId, timestamp) {
+    return Message.updateOne(
+      { _id: parentId },
+      { $inc: { replyCount: 1 }, $max: { lastReplyAt: timestamp } }
+    ).exec();
+  }
 
-    return {
-      messages,
-      totalPages,
-      currentPage: page,
-      totalMessages,
-      approximate: false,
-    };
+  async createScheduledMessage(message) {
+    return Message.collection.insertOne(message);
   }
 
-  async getAllMessages(page, limit) {
-    // Get all messages without filtering by recipient
-    const messages = await Message.find({})
-      .select("_id sender encryptedContent iv recipientKeys recipients timestamp isUnread")
-      .sort({ timestamp: -1 })
-      .skip((page - 1) * limit)
+  async listScheduledMessages(sender, limit) {
+    return Message.find({ sender, status: "scheduled" })
+      .select(`${MESSAGE_FIELDS} deliverAt`)
+      .sort({ deliverAt: 1 })
       .limit(limit)
       .lean()
       .exec();
-    
-    // Get total message count
-    const totalMessages = await Message.countDocuments();
-    const totalPages = Math.ceil(totalMessages / limit);
-    
+  }
+
+  // The expiry counts from delivery, so it moves along with it. Returns the
+  // message as it was before and after, or null if it is not scheduled.
+  async rescheduleMessage(messageId, sender, deliverAt) {
+    const previous = await Message.findOneAndUpdate(
+      { _id: messageId, sender, status: "scheduled" },
+      [
+        {
+          $set: {
+            deliverAt: { $literal: deliverAt },
+            timestamp: { $literal: deliverAt },
+            expiresAt: expiresAtExpression({ $literal: deliverAt }),
+          },
+        },
+      ],
+      { projection: `${MESSAGE_FIELDS} deliverAt ttlSeconds expireAfterRead` }
+    )
+      .lean()
+      .exec();
+
+    if (!previous) {
+      return null;
+    }
+
+    const { ttlSeconds, expireAfterRead, ...message } = previous;
+
     return {
-      messages,
-      totalPages,
-      currentPage: page,
-      totalMessages,
-      approximate: false
+      previous,
+      message: {
+        ...message,
+        deliverAt,
+        timestamp: deliverAt,
+        expiresAt: expiresAtFor({ ttlSeconds, expireAfterRead }, deliverAt),
+      },
     };
   }
 
+  // Returns the cancelled message so the usage it was counted for can be
+  // given back
+  async cancelScheduledMessage(messageId, sender) {
+    return Message.findOneAndDelete(
+      { _id: messageId, sender, status: "scheduled" },
+      {
+        projection:
+          "encryptedContent iv recipientKeys recipients attachments expiresAt",
+      }
+    )
+      .lean()
+      .exec();
+  }
+
+  // Claims one due scheduled message, or one whose earlier claim went
+  // stale, and stamps it with the delivery time
+  async claimDueMessage(now, staleBefore) {
+    return Message.findOneAndUpdate(
+      {
+        $or: [
+          { status: "scheduled", deliverAt: { $lte: now } },
+          { status: "delivering", claimedAt: { $lte: staleBefore } },
+        ],
+      },
+      { $set: { status: "delivering", claimedAt: now, timestamp: now } },
+      { new: true, sort: { deliverAt: 1 } }
+    )
+      .select("-__v")
+      .lean()
+      .exec();
+  }
+
+  // Only succeeds for the claim that is still current, so a worker whose
+  // claim went stale and was taken over cannot finish the message as well
+  async finishScheduledMessage(messageId, claimedAt, expiresAt) {
+    const result = await Message.updateOne(
+      { _id: messageId, status: "delivering", claimedAt },
+      { $set: { status: "sent", expiresAt, claimedAt: null } }
+    ).exec();
+
+    return result.modifiedCount > 0;
+  }
+
+  // Returns the receipts that were still undelivered
+  async markDelivered(messageIds, username) {
+    const filter = {
+      messageId: {
+        $in: messageIds.map((id) => new mongoose.Types.ObjectId(id)),
+      },
+      username,
+      deliveredAt: null,
+    };
+
+    const receipts = await MessageReceipt.find(filter, "messageId sender")
+      .lean()
+      .exec();
+
+    if (receipts.length > 0) {
+      await MessageReceipt.updateMany(
+        { _id: { $in: receipts.map((receipt) => receipt._id) } },
+        { $set: { deliveredAt: new Date() } }
+      ).exec();
+    }
+
+    return receipts;
+  }
+
+  async getUndeliveredMessages(username, conversationId, limit) {
+    const filter = {
+      username,
+      deliveredAt: null,
+      hiddenAt: null,
+      ...notExpired(),
+    };
+    if (conversationId) {
+      filter.conversationId = new mongoose.Types.ObjectId(conversationId);
+    }
+
+    const receipts = await MessageReceipt.find(filter, "messageId")
+      .sort({ timestamp: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+
+    if (receipts.length === 0) {
+      return [];
+    }
+
+    return Message.find({
+      _id: { $in: receipts.map((receipt) => receipt.messageId) },
+      ...notExpired(),
+    })
+      .select(MESSAGE_FIELDS)
+      .sort({ timestamp: 1, _id: 1 })
+      .lean()
+      .exec();
+  }
+
+  // History never hands out a view-once message's content to recipients;
+  // they fetch it once through GET /:messageId or a poll
+  withholdViewOnce(messages, username) {
+    for (const message of messages) {
+      if (message.viewOnce && message.sender !== username) {
+        delete message.encryptedContent;
+        delete message.iv;
+        delete message.recipientKeys;
+
+        if (message.attachments) {
+          message.attachments = message.attachments.map(
+            ({ recipientKeys, ...attachment }) => attachment
+          );
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  // Read state lives on the caller's receipts; a received message with no
+  // receipt yet has only just been sent and is unread
+  async withReadState(messages, username) {
+    const received = messages.filter((message) => message.sender !== username);
+    if (received.length === 0) {
+      return messages;
+    }
+
+    const receipts = await MessageReceipt.find(
+      {
+        messageId: { $in: received.map((message) => message._id) },
+        username,
+      },
+      "messageId readAt"
+    )
+      .lean()
+      .exec();
+
+    const readAt = new Map(
+      receipts.map((receipt) => [receipt.messageId.toString(), receipt.readAt])
+    );
+
+    for (const message of received) {
+      message.readAt = readAt.get(message._id.toString()) || null;
+      message.isUnread = !message.readAt;
+    }
+
+    return messages;
+  }
+
+  // Reading a message also counts as receiving it
+  readUpdate(readAt) {
+    return [
+      {
+        $set: {
+          readAt,
+          deliveredAt: { $ifNull: ["$deliveredAt", readAt] },
+        },
+      },
+    ];
+  }
+
   async markMessageAsRead(messageId, username) {
-    return Message.updateOne(
+    return MessageReceipt.findOneAndUpdate(
+      {
+        messageId: new mongoose.Types.ObjectId(messageId),
+        username,
+        readAt: null,
+      },
+      this.readUpdate(new Date()),
+      { projection: { messageId: 1, sender: 1, readAt: 1 }, new: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  // Marks every unread message up to and including the given one, within
+  // the same conversation, as read. Returns the receipts that changed.
+  async markReadUpTo(message, username) {
+    const filter = {
+      username,
+      readAt: null,
+      conversationId: message.conversationId || null,
+      $or: [
+        { timestamp: { $lt: message.timestamp } },
+        { timestamp: message.timestamp, messageId: { $lte: message._id } },
+      ],
+    };
+
+    // Outside a conversation, "up to" only covers messages from the same
+    // sender
+    if (!message.conversationId) {
+      filter.sender = message.sender;
+    }
+
+    const receipts = await MessageReceipt.find(filter, "messageId sender")
+      .lean()
+      .exec();
+
+    if (receipts.length === 0) {
+      return { receipts, readAt: null };
+    }
+
+    const readAt = new Date();
+    await MessageReceipt.updateMany(
+      { _id: { $in: receipts.map((receipt) => receipt._id) }, readAt: null },
+      this.readUpdate(readAt)
+    ).exec();
+
+    return { receipts, readAt };
+  }
+
+  // Swaps in the new ciphertext and files the current one under versions,
+  // in a single update so concurrent edits cannot lose a version
+  async editMessage(
+    messageId,
+    sender,
+    { encryptedContent, iv, recipientKeys, searchTokens }
+  ) {
+    const editedAt = new Date();
+
+    return Message.findOneAndUpdate(
+      { _id: messageId, sender, deleted: { $ne: true }, ...notExpired() },
+      [
+        {
+          $set: {
+            versions: {
+              $slice: [
+                {
+                  $concatArrays: [
+                    { $ifNull: ["$versions", []] },
+                    [
+                      {
+                        encryptedContent: "$encryptedContent",
+                        iv: "$iv",
+                        recipientKeys: "$recipientKeys",
+                        createdAt: { $ifNull: ["$editedAt", "$timestamp"] },
+                      },
+                    ],
+                  ],
+                },
+                -MAX_VERSIONS,
+              ],
+            },
+            encryptedContent: { $literal: encryptedContent },
+            iv: { $literal: iv },
+            recipientKeys: { $literal: recipientKeys },
+            editedAt: { $literal: editedAt },
+            ...(searchTokens && {
+              searchTokens:
+                searchTokens.length > 0
+                  ? { $literal: searchTokens }
+                  : "$$REMOVE",
+            }),
+          },
+        },
+      ],
+      { new: true, projection: MESSAGE_FIELDS }
+    )
+      .lean()
+      .exec();
+  }
+
+  async hideMessage(messageId, username) {
+    const hiddenAt = new Date();
+
+    const message = await Message.findOneAndUpdate(
+      { _id: messageId, ...this.visibleTo(username) },
+      { $addToSet: { hiddenFor: username } },
+      { projection: { _id: 1 } }
+    )
+      .lean()
+      .exec();
+
+    if (message) {
+      await MessageReceipt.updateOne({ messageId: message._id, username }, [
+        {
+          $set: {
+            hiddenAt,
+            deliveredAt: { $ifNull: ["$deliveredAt", hiddenAt] },
+          },
+        },
+      ]).exec();
+    }
+
+    return message;
+  }
+
+  // Replaces the message with a tombstone. Only messages sent after
+  // notBefore qualify.
+  async deleteForEveryone(messageId, sender, notBefore) {
+    const deletedAt = new Date();
+
+    const message = await Message.findOneAndUpdate(
       {
         _id: messageId,
-        recipients: username,
-        "readBy.username": { $ne: username },
+        sender,
+        deleted: { $ne: true },
+        timestamp: { $gte: notBefore },
       },
       {
-        $addToSet: {
-          readBy: {
-            username: username,
-            readAt: new Date(),
-          },
+        $set: {
+          deleted: true,
+          deletedAt,
+          recipientKeys: {},
+          versions: [],
+          attachments: [],
         },
-        $set: { isUnread: false },
+        $unset: { encryptedContent: "", iv: "", searchTokens: "" },
+      },
+      { new: true, projection: { _id: 1, conversationId: 1, recipients: 1 } }
+    )
+      .lean()
+      .exec();
+
+    if (message) {
+      await MessageReceipt.updateMany(
+        { messageId: message._id, hiddenAt: null },
+        { $set: { hiddenAt: deletedAt } }
+      ).exec();
+    }
+
+    return message && { ...message, deletedAt };
+  }
+
+  async findViewOnce(messageIds, username) {
+    return Message.find({
+      _id: { $in: messageIds },
+      viewOnce: true,
+      recipients: username,
+      viewedBy: { $ne: username },
+    })
+      .select("_id sender recipients recipientKeys")
+      .lean()
+      .exec();
+  }
+
+  // Drops the viewer's key from view-once messages and purges the content
+  // of those every recipient has now seen
+  async markViewed(messageIds, username) {
+    const viewedAt = new Date();
+    const ids = messageIds.map((id) => new mongoose.Types.ObjectId(id));
+    const unseen = {
+      _id: { $in: ids },
+      viewOnce: true,
+      recipients: username,
+      viewedBy: { $ne: username },
+    };
+
+    // $[] needs the array to exist, so attachment keys go in their own pass
+    await Message.updateMany(
+      { ...unseen, "attachments.0": { $exists: true } },
+      { $unset: { [`attachments.$[].recipientKeys.${username}`]: "" } }
+    ).exec();
+
+    await Message.updateMany(unseen, {
+      $addToSet: { viewedBy: username },
+      $unset: { [`recipientKeys.${username}`]: "" },
+    }).exec();
+
+    await Message.updateMany(
+      {
+        _id: { $in: ids },
+        viewOnce: true,
+        contentPurgedAt: null,
+        $expr: {
+          $setIsSubset: [
+            { $setDifference: ["$recipients", ["$sender"]] },
+            "$viewedBy",
+          ],
+        },
+      },
+      {
+        $set: { recipientKeys: {}, attachments: [], contentPurgedAt: viewedAt },
+        $unset: { encryptedContent: "", iv: "", searchTokens: "" },
       }
     ).exec();
+
+    await MessageReceipt.updateMany(
+      { messageId: { $in: ids }, username, viewedAt: null },
+      { $set: { viewedAt } }
+    ).exec();
+
+    return viewedAt;
   }
 
-  async getMessageById(messageId) {
-    return Message.findById(messageId)
+  // Reactions are stored grouped by payload. Both updates rebuild the groups
+  // in a single pipeline so concurrent reactions cannot overwrite each other.
+  async addReaction(messageId, username, reaction) {
+    const user = { $literal: username };
+    const payload = { $literal: reaction };
+    const groups = { $ifNull: ["$reactions", []] };
+
+    return Message.findOneAndUpdate(
+      {
+        _id: messageId,
+        ...this.visibleTo(username),
+        deleted: { $ne: true },
+        // Reacting again with the same payload does not count twice
+        $expr: {
+          $lt: [
+            {
+              $size: {
+                $filter: {
+                  input: groups,
+                  cond: {
+                    $and: [
+                      { $ne: ["$$this.reaction", payload] },
+                      { $in: [user, "$$this.users"] },
+                    ],
+                  },
+                },
+              },
+            },
+            MAX_REACTIONS_PER_USER,
+          ],
+        },
+      },
+      [
+        {
+          $set: {
+            reactions: {
+              $cond: [
+                {
+                  $in: [
+                    payload,
+                    { $map: { input: groups, in: "$$this.reaction" } },
+                  ],
+                },
+                {
+                  $map: {
+                    input: groups,
+                    as: "group",
+                    in: {
+                      $cond: [
+                        {
+                          $and: [
+                            { $eq: ["$$group.reaction", payload] },
+                            { $not: [{ $in: [user, "$$group.users"] }] },
+                          ],
+                        },
+                        {
+                          $mergeObjects: [
+                            "$$group",
+                            {
+                              users: {
+                                $concatArrays: ["$$group.users", [user]],
+                              },
+                            },
+                          ],
+                        },
+                        "$$group",
+                      ],
+                    },
+                  },
+                },
+                {
+                  $concatArrays: [
+                    groups,
+                    [{ reaction: payload, users: [user] }],
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        this.reactionCounts(),
+      ],
+      { new: true, projection: REACTION_FIELDS }
+    )
+      .lean()
+      .exec();
+  }
+
+  async removeReaction(messageId, username, reaction) {
+    const user = { $literal: username };
+    const payload = { $literal: reaction };
+
+    return Message.findOneAndUpdate(
+      { _id: messageId, ...this.visibleTo(username) },
+      [
+        {
+          $set: {
+            reactions: {
+              $map: {
+                input: { $ifNull: ["$reactions", []] },
+                as: "group",
+                in: {
+                  $cond: [
+                    { $eq: ["$$group.reaction", payload] },
+                    {
+                      $mergeObjects: [
+                        "$$group",
+                        {
+                          users: {
+                            $filter: {
+                              input: "$$group.users",
+                              cond: { $ne: ["$$this", user] },
+                            },
+                          },
+                        },
+                      ],
+                    },
+                    "$$group",
+                  ],
+                },
+              },
+            },
+          },
+        },
+        {
+          $set: {
+            reactions: {
+              $filter: {
+                input: "$reactions",
+                cond: { $gt: [{ $size: "$$this.users" }, 0] },
+              },
+            },
+          },
+        },
+        this.reactionCounts(),
+      ],
+      { new: true, projection: REACTION_FIELDS }
+    )
+      .lean()
+      .exec();
+  }
+
+  reactionCounts() {
+    return {
+      $set: {
+        reactions: {
+          $map: {
+            input: "$reactions",
+            in: {
+              reaction: "$$this.reaction",
+              count: { $size: "$$this.users" },
+              users: "$$this.users",
+            },
+          },
+        },
+      },
+    };
+  }
+
+  async hasAttachmentFor(attachmentId, username) {
+    return Message.exists({
+      "attachments.attachmentId": attachmentId,
+      ...this.visibleTo(username),
+      deleted: { $ne: true },
+    }).exec();
+  }
+
+  async getMessageVersions(messageId, username) {
+    return Message.findOne({ _id: messageId, ...this.visibleTo(username) })
       .select(
-        "_id sender encryptedContent iv recipientKeys recipients timestamp isUnread"
+        "_id sender viewOnce encryptedContent iv recipientKeys timestamp editedAt versions"
       )
       .lean()
       .exec();
   }
+
+  async getReceipts(messageId) {
+    return MessageReceipt.find(
+      { messageId: new mongoose.Types.ObjectId(messageId) },
+      "-_id username deliveredAt readAt viewedAt"
+    )
+      .sort({ username: 1 })
+      .lean()
+      .exec();
+  }
+
+  async isSender(messageId, username) {
+    return Message.exists({
+      _id: messageId,
+      sender: username,
+      ...notExpired(),
+    }).exec();
+  }
+
+  // Starts the timer of expire-after-read messages on their first read and
+  // returns them with their current expiry
+  async startReadTimers(messageIds, readAt) {
+    const filter = {
+      _id: { $in: messageIds },
+      expireAfterRead: true,
+      ttlSeconds: { $gt: 0 },
+    };
+
+    await Message.updateMany(filter, [
+      {
+        $set: {
+          expiresAt: {
+            $min: [
+              "$expiresAt",
+              { $add: [readAt, { $multiply: ["$ttlSeconds", 1000] }] },
+            ],
+          },
+        },
+      },
+    ]).exec();
+
+    const messages = await Message.find(filter, "_id expiresAt").lean().exec();
+
+    if (messages.length > 0) {
+      await MessageReceipt.bulkWrite(
+        messages.map(({ _id, expiresAt }) => ({
+          updateMany: {
+            filter: { messageId: _id },
+            update: { $set: { expiresAt } },
+          },
+        })),
+        { ordered: false }
+      );
+    }
+
+    return messages;
+  }
+
+  async getUnreadCounts(username) {
+    const [counts] = await MessageReceipt.aggregate([
+      { $match: { username, readAt: null, hiddenAt: null, ...notExpired() } },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byConversation: [
+            { $group: { _id: "$conversationId", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          bySender: [
+            { $group: { _id: "$sender", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+        },
+      },
+    ]).exec();
+
+    return {
+      total: counts.total.length > 0 ? counts.total[0].count : 0,
+      byConversation: counts.byConversation.map(({ _id, count }) => ({
+        conversationId: _id,
+        count,
+      })),
+      bySender: counts.bySender.map(({ _id, count }) => ({
+        sender: _id,
+        count,
+      })),
+    };
+  }
+
+  async getMessageById(messageId, username) {
+    const message = await Message.findOne({
+      _id: messageId,
+      ...this.visibleTo(username),
+    })
+      .select(MESSAGE_FIELDS)
+      .lean()
+      .exec();
+
+    if (!message) {
+      return null;
+    }
+
+    const [withState] = await this.withReadState([message], username);
+    return withState;
+  }
 }
 
 module.exports = new MessageRepository();
\ No newline at end of file
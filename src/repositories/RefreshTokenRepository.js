@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const { REFRESH_TOKEN_TTL_SECONDS } = require("../config/auth.config");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+class RefreshTokenRepository {
+  // The token itself is only ever handed to the client
+  async issue(username, familyId = crypto.randomUUID()) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await RefreshToken.create({
+      tokenHash: hashToken(token),
+      username,
+      familyId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+    });
+
+    return { token, familyId };
+  }
+
+  // Trades a refresh token for the next one in its family. Returns null for
+  // unknown, expired or revoked tokens and { reused: true } for a token that
+  // was already used, in which case the whole family is revoked: either the
+  // client or an attacker is holding a stolen copy.
+  async rotate(token) {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    )
+      .lean()
+      .exec();
+
+    if (current) {
+      const next = await this.issue(current.username, current.familyId);
+      return { username: current.username, ...next };
+    }
+
+    const existing = await RefreshToken.findOne({ tokenHash }).lean().exec();
+    if (existing && existing.usedAt) {
+      await this.revokeFamily(existing.familyId);
+      return {
+        reused: true,
+        username: existing.username,
+        familyId: existing.familyId,
+      };
+    }
+
+    return null;
+  }
+
+  async revokeFamily(familyId) {
+    return RefreshToken.updateMany(
+      { familyId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ).exec();
+  }
+
+  // Revokes the family of a token its owner is logging out with
+  async revoke(token, username) {
+    const existing = await RefreshToken.findOne({
+      tokenHash: hashToken(token),
+      username,
+    })
+      .lean()
+      .exec();
+
+    if (existing) {
+      await this.revokeFamily(existing.familyId);
+    }
+
+    return existing;
+  }
+}
+
+module.exports = new RefreshTokenRepository();
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { REFRESH_TOKEN_TTL_SECONDS } = require("../config/auth.config");
+
+const SESSION_FIELDS = "deviceName ip userAgent createdAt lastSeenAt";
+
+const activeFilter = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+const nextExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+
+class SessionRepository {
+  async create(username, { deviceName, ip, userAgent }) {
+    return Session.create({
+      username,
+      deviceName: deviceName || null,
+      ip: ip || null,
+      userAgent: userAgent || null,
+      expiresAt: nextExpiry(),
+    });
+  }
+
+  // Records activity on a live session; null if it was revoked or expired
+  async touch(sessionId, ip) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return null;
+    }
+
+    const update = { lastSeenAt: new Date() };
+    if (ip) {
+      update.ip = ip;
+    }
+
+    return Session.findOneAndUpdate(
+      { _id: sessionId, ...activeFilter() },
+      { $set: update },
+      { new: true, projection: "username" }
+    )
+      .lean()
+      .exec();
+  }
+
+  // Keeps a session alive as long as its refresh tokens
+  async extend(sessionId, username) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return false;
+    }
+
+    const result = await Session.updateOne(
+      { _id: sessionId, username, ...activeFilter() },
+      { $set: { lastSeenAt: new Date(), expiresAt: nextExpiry() } }
+    ).exec();
+
+    return result.matchedCount > 0;
+  }
+
+  async listActive(username) {
+    return Session.find({ username, ...activeFilter() })
+      .select(SESSION_FIELDS)
+      .sort({ lastSeenAt: -1 })
+      .lean()
+      .exec();
+  }
+
+  // Revokes the given sessions of a user, or all but `exceptId`, and returns
+  // the ids that were still active
+  async revoke(username, { sessionIds, exceptId } = {}) {
+    const filter = { username, ...activeFilter() };
+
+    if (sessionIds) {
+      filter._id = { $in: sessionIds.filter(mongoose.isValidObjectId) };
+    } else if (exceptId) {
+      filter._id = { $ne: exceptId };
+    }
+
+    const sessions = await Session.find(filter).select("_id").lean().exec();
+    const ids = sessions.map((session) => session._id);
+
+    if (ids.length > 0) {
+      await Session.updateMany(
+        { _id: { $in: ids }, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      ).exec();
+    }
+
+    return ids.map(String);
+  }
+}
+
+module.exports = new SessionRepository();
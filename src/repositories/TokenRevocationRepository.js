@@ -0,0 +1,98 @@
+const RevokedToken = require("../models/RevokedToken");
+const logger = require("../utils/logger");
+const { getRedisClient, onRedisReady } = require("../config/redis.config");
+
+const KEY_PREFIX = "secure-messaging:revoked-token:";
+
+// Revoked access tokens by jti. MongoDB holds every revocation; when Redis
+// is configured each one is copied there too and lookups go to Redis, so
+// every node sees them cheaply. While Redis is unreachable lookups use
+// MongoDB, and revocations made meanwhile are copied over as soon as it
+// reconnects. Entries only need to outlive the token itself.
+class TokenRevocationRepository {
+  constructor() {
+    onRedisReady((redis) => this.syncToRedis(redis));
+  }
+
+  async getRedis() {
+    try {
+      return await getRedisClient();
+    } catch (error) {
+      logger.error(
+        "Redis unavailable for token revocations, using MongoDB:",
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // `exp` is the token's expiry in seconds since the epoch
+  async revoke(jti, username, exp) {
+    const ttl = exp - Math.floor(Date.now() / 1000);
+    if (ttl <= 0) {
+      return;
+    }
+
+    await RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { username, expiresAt: new Date(exp * 1000) } },
+      { upsert: true }
+    ).exec();
+
+    const redis = await this.getRedis();
+
+    if (redis) {
+      await redis
+        .set(`${KEY_PREFIX}${jti}`, username || "", { EX: ttl })
+        .catch((err) =>
+          logger.error("Redis token revocation error:", err.message)
+        );
+    }
+  }
+
+  async isRevoked(jti) {
+    const redis = await this.getRedis();
+
+    if (redis) {
+      try {
+        return (await redis.exists(`${KEY_PREFIX}${jti}`)) > 0;
+      } catch (error) {
+        logger.error("Redis token revocation lookup error:", error.message);
+      }
+    }
+
+    const revoked = await RevokedToken.exists({
+      jti,
+      expiresAt: { $gt: new Date() },
+    });
+
+    return Boolean(revoked);
+  }
+
+  // Copies every revocation that has not expired yet into Redis
+  async syncToRedis(redis) {
+    const now = Date.now();
+    const revoked = await RevokedToken.find(
+      { expiresAt: { $gt: new Date(now) } },
+      "jti username expiresAt"
+    )
+      .lean()
+      .exec();
+
+    if (revoked.length === 0) {
+      return;
+    }
+
+    const multi = redis.multi();
+    for (const { jti, username, expiresAt } of revoked) {
+      multi.set(`${KEY_PREFIX}${jti}`, username || "", {
+        EX: Math.max(1, Math.ceil((expiresAt.getTime() - now) / 1000)),
+      });
+    }
+    await multi.exec();
+
+    logger.info(`Copied ${revoked.length} token revocations to Redis`);
+  }
+}
+
+module.exports = new TokenRevocationRepository();
@@ -0,0 +1,100 @@
+const Usage = require("../models/Usage");
+const { usageDay, nextUsageDay, storedBytesFrom } = require("../utils/usage");
+
+class UsageRepository {
+  async getUsage(username, now = new Date()) {
+    const today = usageDay(now);
+    const usage = await Usage.findOne({ username }).lean().exec();
+
+    return {
+      messagesToday: usage && usage.day === today ? usage.messagesToday : 0,
+      resetsAt: nextUsageDay(now),
+      storedBytes: storedBytesFrom(usage && usage.storedBytes, today),
+    };
+  }
+
+  // Counts one sent message and its bytes, dropping buckets that have
+  // expired in the same update
+  async recordMessage(username, bytes, expiresAt, now = new Date()) {
+    const today = usageDay(now);
+    const bucket = `storedBytes.${usageDay(expiresAt)}`;
+
+    return Usage.updateOne(
+      { username },
+      [
+        {
+          $set: {
+            messagesToday: {
+              $cond: [
+                { $eq: ["$day", today] },
+                { $add: ["$messagesToday", 1] },
+                1,
+              ],
+            },
+            day: today,
+            [bucket]: { $add: [{ $ifNull: [`$${bucket}`, 0] }, bytes] },
+          },
+        },
+        {
+          $set: {
+            storedBytes: {
+              $arrayToObject: {
+                $filter: {
+                  input: { $objectToArray: "$storedBytes" },
+                  cond: { $gte: ["$$this.k", today] },
+                },
+              },
+            },
+          },
+        },
+      ],
+      { upsert: true }
+    ).exec();
+  }
+
+  // Moves a message's bytes to the bucket of its new expiry day
+  async moveStoredBytes(username, bytes, fromExpiresAt, toExpiresAt) {
+    const from = `storedBytes.${usageDay(fromExpiresAt)}`;
+    const to = `storedBytes.${usageDay(toExpiresAt)}`;
+    if (from === to) {
+      return null;
+    }
+
+    const remaining = { $subtract: [{ $ifNull: [`$${from}`, 0] }, bytes] };
+
+    return Usage.updateOne({ username }, [
+      {
+        $set: {
+          [from]: { $cond: [{ $gt: [remaining, 0] }, remaining, "$$REMOVE"] },
+          [to]: { $add: [{ $ifNull: [`$${to}`, 0] }, bytes] },
+        },
+      },
+    ]).exec();
+  }
+
+  // Gives back what recordMessage counted for a message that was never
+  // delivered. The message only comes off the daily count if it was
+  // counted today; the bucket goes away once it is empty.
+  async refundMessage(username, bytes, expiresAt, sentAt, now = new Date()) {
+    const today = usageDay(now);
+    const bucket = `storedBytes.${usageDay(expiresAt)}`;
+    const remaining = { $subtract: [{ $ifNull: [`$${bucket}`, 0] }, bytes] };
+    const refund = {
+      [bucket]: { $cond: [{ $gt: [remaining, 0] }, remaining, "$$REMOVE"] },
+    };
+
+    if (usageDay(sentAt) === today) {
+      refund.messagesToday = {
+        $cond: [
+          { $eq: ["$day", today] },
+          { $max: [{ $subtract: ["$messagesToday", 1] }, 0] },
+          "$messagesToday",
+        ],
+      };
+    }
+
+    return Usage.updateOne({ username }, [{ $set: refund }]).exec();
+  }
+}
+
+module.exports = new UsageRepository();
@@ -1,5 +1,9 @@
+const crypto = require("crypto");
 const User = require("../models/User");
 
+const tokenKey = (token) =>
+  `token:${crypto.createHash("sha256").update(token).digest("hex")}`;
+
 class UserRepository {
   async findByUsername(username) {
     let existingUser;
@@ -89,9 +93,7 @@ class UserRepository {
   async getTokenFromCache(token) {
     if (global.redisGetAsync) {
       try {
-        const cachedResult = await global.redisGetAsync(
-          `token:${token.substring(0, 10)}`
-        );
+        const cachedResult = await global.redisGetAsync(tokenKey(token));
         if (cachedResult) {
           return JSON.parse(cachedResult);
         }
@@ -105,24 +107,13 @@ class UserRepository {
   async cacheToken(token, data, expiryTime) {
     if (global.redisSetAsync) {
       await global.redisSetAsync(
-        `token:${token.substring(0, 10)}`,
+        tokenKey(token),
         JSON.stringify(data),
         "EX",
         expiryTime
       );
     }
   }
-
-  async blacklistToken(token, expiryTime) {
-    if (global.redisSetAsync) {
-      await global.redisSetAsync(
-        `token:blacklist:${token.substring(0, 10)}`,
-        "1",
-        "EX",
-        expiryTime
-      );
-    }
-  }
 }
 
 module.exports = new UserRepository();
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/auth");
+const attachmentController = require("../controllers/AttachmentController");
+const { CHUNK_SIZE } = require("../config/attachment.config");
+
+// Chunks are raw encrypted bytes, whatever content type the client sends
+const rawChunk = express.raw({ type: () => true, limit: CHUNK_SIZE });
+
+router.post("/", authenticate, (req, res) =>
+  attachmentController.createUpload(req, res));
+
+router.get("/:attachmentId", authenticate, (req, res) =>
+  attachmentController.getUpload(req, res));
+
+router.put("/:attachmentId/chunks/:index", authenticate, rawChunk, (req, res) =>
+  attachmentController.uploadChunk(req, res));
+
+router.get("/:attachmentId/content", authenticate, (req, res) =>
+  attachmentController.downloadAttachment(req, res));
+
+module.exports = router;
@@ -24,8 +24,12 @@ const authLimiter = rateLimit({
 // Routes
 router.post("/register", authLimiter, (req, res) => authController.register(req, res));
 router.post("/login", authLimiter, (req, res) => authController.login(req, res));
+router.post("/refresh", authLimiter, (req, res) => authController.refresh(req, res));
 router.get("/profile", authenticate, (req, res) => authController.getProfile(req, res));
 router.post("/verify", (req, res) => authController.verifyToken(req, res));
 router.post("/logout", authenticate, (req, res) => authController.logout(req, res));
+router.get("/sessions", authenticate, (req, res) => authController.listSessions(req, res));
+router.post("/sessions/logout-others", authenticate, (req, res) => authController.revokeOtherSessions(req, res));
+router.delete("/sessions/:sessionId", authenticate, (req, res) => authController.revokeSession(req, res));
 
 module.exports = router;
\ No newline at end of file
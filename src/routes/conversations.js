@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/auth");
+const conversationController = require("../controllers/ConversationController");
+
+router.post("/", authenticate, (req, res) =>
+  conversationController.createConversation(req, res));
+
+router.get("/", authenticate, (req, res) =>
+  conversationController.listConversations(req, res));
+
+router.get("/:conversationId", authenticate, (req, res) =>
+  conversationController.getConversation(req, res));
+
+router.patch("/:conversationId/settings", authenticate, (req, res) =>
+  conversationController.updateSettings(req, res));
+
+router.post("/:conversationId/members", authenticate, (req, res) =>
+  conversationController.addMembers(req, res));
+
+router.patch("/:conversationId/members/:username", authenticate, (req, res) =>
+  conversationController.updateMemberRole(req, res));
+
+router.delete("/:conversationId/members/:username", authenticate, (req, res) =>
+  conversationController.removeMember(req, res));
+
+module.exports = router;
@@ -9,12 +9,54 @@ router.get("/all-messages", authenticate, (req, res) =>
 router.get("/poll", authenticate, (req, res) => 
   messageController.pollMessages(req, res));
 
+router.get("/stream", authenticate, (req, res) => 
+  messageController.streamMessages(req, res));
+
 router.post("/send", authenticate, (req, res) => 
   messageController.sendMessage(req, res));
 
+router.get("/scheduled", authenticate, (req, res) => 
+  messageController.listScheduledMessages(req, res));
+
+router.patch("/scheduled/:messageId", authenticate, (req, res) => 
+  messageController.rescheduleMessage(req, res));
+
+router.delete("/scheduled/:messageId", authenticate, (req, res) => 
+  messageController.cancelScheduledMessage(req, res));
+
+router.get("/search", authenticate, (req, res) => 
+  messageController.searchMessages(req, res));
+
 router.get("/history", authenticate, (req, res) => 
   messageController.getMessageHistory(req, res));
 
+router.get("/unread-count", authenticate, (req, res) => 
+  messageController.getUnreadCount(req, res));
+
+router.post("/read-up-to", authenticate, (req, res) => 
+  messageController.markReadUpTo(req, res));
+
+router.post("/ack", authenticate, (req, res) => 
+  messageController.acknowledgeMessages(req, res));
+
+router.post("/:messageId/ack", authenticate, (req, res) => 
+  messageController.acknowledgeMessages(req, res));
+
+router.get("/:messageId/thread", authenticate, (req, res) => 
+  messageController.getThread(req, res));
+
+router.get("/:messageId/versions", authenticate, (req, res) => 
+  messageController.getMessageVersions(req, res));
+
+router.get("/:messageId/receipts", authenticate, (req, res) => 
+  messageController.getReceipts(req, res));
+
+router.post("/:messageId/reactions", authenticate, (req, res) => 
+  messageController.addReaction(req, res));
+
+router.delete("/:messageId/reactions", authenticate, (req, res) => 
+  messageController.removeReaction(req, res));
+
 router.post("/:messageId/read", authenticate, (req, res) => 
   messageController.markMessageAsRead(req, res));
   
@@ -24,4 +66,10 @@ router.get("/status", authenticate, (req, res) =>
 router.get("/:messageId", authenticate, (req, res) => 
   messageController.getMessageById(req, res));
 
+router.patch("/:messageId", authenticate, (req, res) => 
+  messageController.editMessage(req, res));
+
+router.delete("/:messageId", authenticate, (req, res) => 
+  messageController.deleteMessage(req, res));
+
 module.exports = router;
\ No newline at end of file
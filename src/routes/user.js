@@ -9,4 +9,7 @@ router.get("/public-keys", authenticate, (req, res) =>
 router.post("/update-key", authenticate, (req, res) => 
   userManagementController.updatePublicKey(req, res));
 
+router.get("/me/usage", authenticate, (req, res) => 
+  userManagementController.getUsage(req, res));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+// services/AttachmentCleaner.js
+const logger = require("../utils/logger");
+const attachmentRepository = require("../repositories/AttachmentRepository");
+const attachmentStore = require("../storage");
+
+// Deletes the content of attachments that have outlived every message that
+// references them, and of uploads that were never finished or never sent.
+// Every worker runs it; each record is taken by exactly one of them.
+class AttachmentCleaner {
+  constructor() {
+    this.SWEEP_INTERVAL = 60000;
+    this.MAX_PER_SWEEP = 100;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.SWEEP_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      for (let i = 0; i < this.MAX_PER_SWEEP; i++) {
+        const attachment = await attachmentRepository.takeExpired(new Date());
+        if (!attachment) {
+          break;
+        }
+
+        await attachmentStore.remove(attachment._id);
+        logger.debug(`Removed expired attachment ${attachment._id}`);
+      }
+    } catch (error) {
+      logger.error("Attachment cleanup error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new AttachmentCleaner();
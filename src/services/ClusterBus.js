@@ -0,0 +1,113 @@
+// services/ClusterBus.js
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const logger = require("../utils/logger");
+const {
+  REDIS_URL,
+  getRedisClient,
+  createRedisSubscriber,
+} = require("../config/redis.config");
+
+const CHANNEL = "secure-messaging:bus";
+
+// Fans events out to every worker. Inside one machine the cluster master
+// relays them over IPC; with REDIS_URL set they go through Redis pub/sub so
+// workers on other nodes receive them as well, and while Redis is down the
+// workers on this machine keep reaching each other over IPC. Payloads cross
+// a JSON boundary, so ObjectIds and Dates arrive as strings.
+class ClusterBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+
+    this.instanceId = crypto.randomUUID();
+    this.mode = "local";
+    this.ipc = false;
+    this.publisher = null;
+  }
+
+  async init() {
+    if (process.send) {
+      process.on("message", (msg) => {
+        if (msg && msg.type === "bus:message") {
+          this.receive(msg.envelope);
+        }
+      });
+      this.ipc = true;
+      this.mode = "ipc";
+    }
+
+    if (!REDIS_URL) {
+      return;
+    }
+
+    try {
+      const publisher = await getRedisClient();
+      const subscriber = await createRedisSubscriber();
+
+      await subscriber.subscribe(CHANNEL, (raw) => {
+        try {
+          this.receive(JSON.parse(raw));
+        } catch (err) {
+          logger.error("Invalid cluster bus payload:", err.message);
+        }
+      });
+
+      this.publisher = publisher;
+      this.mode = "redis";
+      logger.info(`Worker ${process.pid} joined the Redis message bus`);
+    } catch (err) {
+      logger.error(
+        `Redis message bus unavailable, using ${this.mode} delivery:`,
+        err.message
+      );
+    }
+  }
+
+  publish(kind, payload) {
+    const envelope = { kind, payload, origin: this.instanceId };
+
+    try {
+      if (this.mode === "redis" && this.publisher.isReady) {
+        this.publisher
+          .publish(CHANNEL, JSON.stringify(envelope))
+          .catch((err) =>
+            logger.error("Cluster bus publish error:", err.message)
+          );
+      } else if (this.ipc) {
+        process.send({ type: "bus:publish", envelope });
+      }
+    } catch (err) {
+      logger.error("Cluster bus publish error:", err.message);
+    }
+  }
+
+  receive(envelope) {
+    // Redis echoes our own publications back to us
+    if (!envelope || envelope.origin === this.instanceId) {
+      return;
+    }
+
+    this.emit(envelope.kind, envelope.payload);
+  }
+
+  // Runs in the cluster master: forwards every publication to the other
+  // workers.
+  relay(cluster) {
+    cluster.on("message", (worker, msg) => {
+      if (!msg || msg.type !== "bus:publish") {
+        return;
+      }
+
+      for (const id of Object.keys(cluster.workers)) {
+        const target = cluster.workers[id];
+
+        if (target !== worker && target.isConnected()) {
+          target.send({ type: "bus:message", envelope: msg.envelope });
+        }
+      }
+    });
+  }
+}
+
+module.exports = new ClusterBus();
@@ -0,0 +1,146 @@
+// services/MessageOutbox.js
+const fs = require("fs");
+const path = require("path");
+const { EJSON } = require("mongoose").mongo.BSON;
+const logger = require("../utils/logger");
+
+// Append-only journal of accepted messages that have not reached MongoDB
+// yet. A send is acknowledged only after its record is fsynced, and a commit
+// record is appended once the batch insert succeeds, so whatever is left
+// uncommitted after a crash is replayed on the next start.
+class MessageOutbox {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.handle = null;
+    this.pendingWrites = [];
+    this.writeScheduled = false;
+    this.writing = false;
+    this.uncommitted = new Set();
+  }
+
+  async getHandle() {
+    if (!this.handle) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      this.handle = await fs.promises.open(this.filePath, "a");
+    }
+    return this.handle;
+  }
+
+  // Resolves once the message is durable on disk
+  append(message) {
+    this.uncommitted.add(message._id.toString());
+
+    return this.enqueue({ op: "append", message }, true);
+  }
+
+  commit(messageIds) {
+    for (const messageId of messageIds) {
+      this.uncommitted.delete(messageId);
+    }
+
+    return this.enqueue({ op: "commit", ids: messageIds }, false);
+  }
+
+  enqueue(record, durable) {
+    return new Promise((resolve, reject) => {
+      this.pendingWrites.push({
+        line: EJSON.stringify(record) + "\n",
+        durable,
+        resolve,
+        reject,
+      });
+      this.scheduleWrite();
+    });
+  }
+
+  scheduleWrite() {
+    if (this.writeScheduled || this.writing) return;
+
+    this.writeScheduled = true;
+    setImmediate(() => {
+      this.writeScheduled = false;
+      this.flushWrites();
+    });
+  }
+
+  // Group commit: everything queued since the last write shares one
+  // write() and one fdatasync()
+  async flushWrites() {
+    if (this.writing || this.pendingWrites.length === 0) return;
+
+    this.writing = true;
+    const entries = this.pendingWrites.splice(0);
+
+    try {
+      const handle = await this.getHandle();
+      await handle.write(entries.map((entry) => entry.line).join(""));
+
+      if (entries.some((entry) => entry.durable)) {
+        await handle.datasync();
+      }
+
+      // Nothing left to replay, so the journal can start over
+      if (this.uncommitted.size === 0 && this.pendingWrites.length === 0) {
+        await handle.truncate(0);
+      }
+
+      entries.forEach((entry) => entry.resolve());
+    } catch (error) {
+      logger.error("Outbox write error:", error);
+      entries.forEach((entry) => entry.reject(error));
+    } finally {
+      this.writing = false;
+      if (this.pendingWrites.length > 0) {
+        this.scheduleWrite();
+      }
+    }
+  }
+
+  // Returns the messages appended but never committed, oldest first
+  async recover() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const pending = new Map();
+
+    for (const line of contents.split("\n")) {
+      if (!line) continue;
+
+      let record;
+      try {
+        record = EJSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a torn last line; it was never
+        // acknowledged to the client
+        logger.warn(`Skipping unreadable outbox record in ${this.filePath}`);
+        continue;
+      }
+
+      if (record.op === "append") {
+        pending.set(record.message._id.toString(), record.message);
+      } else if (record.op === "commit") {
+        record.ids.forEach((messageId) => pending.delete(messageId));
+      }
+    }
+
+    for (const messageId of pending.keys()) {
+      this.uncommitted.add(messageId);
+    }
+
+    return [...pending.values()];
+  }
+
+  async close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = MessageOutbox;
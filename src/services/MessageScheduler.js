@@ -0,0 +1,117 @@
+// services/MessageScheduler.js
+const logger = require("../utils/logger");
+const messageRepository = require("../repositories/MessageRepository");
+const attachmentRepository = require("../repositories/AttachmentRepository");
+const conversationRepository = require("../repositories/ConversationRepository");
+const messageService = require("./MessageService");
+const { expiresAtFor } = require("../utils/expiry");
+
+// Hands scheduled messages to the normal delivery path once they are due.
+// Every worker runs it; a message is claimed with a single atomic update, and
+// a claim that is never completed, because its worker died or stalled, is
+// picked up again after CLAIM_TIMEOUT. Saving the message and its receipts
+// is safe to repeat; the broadcast is not, so only the worker whose claim
+// still holds when it marks the message sent broadcasts it. If that worker
+// dies before broadcasting, recipients still get the message from their
+// undelivered receipts on their next poll or stream.
+class MessageScheduler {
+  constructor() {
+    this.POLL_INTERVAL = 1000;
+    this.MAX_PER_TICK = 100;
+    this.CLAIM_TIMEOUT = 60000;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.POLL_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      for (let i = 0; i < this.MAX_PER_TICK; i++) {
+        const message = await messageRepository.claimDueMessage(
+          new Date(),
+          new Date(Date.now() - this.CLAIM_TIMEOUT)
+        );
+
+        if (!message) {
+          break;
+        }
+
+        await this.deliver(message);
+      }
+    } catch (error) {
+      logger.error("Scheduled delivery error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async deliver(scheduled) {
+    // The claim moved the timestamp to now, so the message sorts and pages
+    // as if it had just been sent
+    const { status, deliverAt, claimedAt, ...message } = scheduled;
+    message.expiresAt = expiresAtFor(message, message.timestamp);
+
+    // Delivery can run late, pushing the expiry past what was reserved for
+    // the attachments when the message was scheduled
+    if (message.attachments && message.attachments.length > 0) {
+      await attachmentRepository.extendExpiry(
+        message.attachments.map((attachment) => attachment.attachmentId),
+        message.expiresAt
+      );
+    }
+
+    await messageRepository.saveBulkMessages(
+      [message],
+      messageService.buildReceipts([message])
+    );
+
+    const finished = await messageRepository.finishScheduledMessage(
+      message._id,
+      claimedAt,
+      message.expiresAt
+    );
+
+    // Another worker took over the claim and delivers the message itself
+    if (!finished) {
+      logger.debug(`Scheduled message ${message._id} was claimed again`);
+      return;
+    }
+
+    if (message.replyTo) {
+      messageRepository
+        .recordReply(message.replyTo, message.timestamp)
+        .catch((err) => logger.error("Thread update error:", err));
+    }
+
+    if (message.conversationId) {
+      conversationRepository
+        .touch(message.conversationId, message.timestamp)
+        .catch((err) => logger.error("Conversation update error:", err));
+    }
+
+    messageService.broadcastMessage(message);
+    messageService.announcePersisted([message]);
+    logger.debug(`Delivered scheduled message ${message._id}`);
+  }
+}
+
+module.exports = new MessageScheduler();
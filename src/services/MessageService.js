@@ -1,7 +1,18 @@
 // services/MessageService.js
+const crypto = require("crypto");
 const os = require("os");
+const path = require("path");
 const logger = require("../utils/logger");
 const messageRepository = require("../repositories/MessageRepository");
+const clusterBus = require("./ClusterBus");
+const MessageOutbox = require("./MessageOutbox");
+const {
+  encodeCursor,
+  decodeCursor,
+  isAfterCursor,
+  compareByCursor,
+} = require("../utils/cursor");
+const { isExpired } = require("../utils/expiry");
 
 class MessageService {
   constructor() {
@@ -10,42 +21,288 @@ class MessageService {
     this.MAX_CLIENTS_PER_WORKER = Math.ceil(15000 / os.cpus().length);
     this.BATCH_SIZE = 500;
     this.BATCH_INTERVAL = 1000;
+    this.MAX_REPLAY_SIZE = 500;
+    this.MAX_FLUSH_BACKOFF = 30000;
+    this.ACK_TIMEOUT = 30000;
+    this.MAX_PENDING_EVENTS = 200;
+    this.PENDING_EVENT_TTL = 600000;
+    this.PERSIST_WAIT_TIMEOUT = 3000;
+    this.OUTBOX_DIR =
+      process.env.OUTBOX_DIR || path.join(__dirname, "../../data/outbox");
     
     // State management
     this.connectedClients = new Map();
     this.messageQueue = [];
+    // Oldest point in time the in-memory queue is known to be complete from
+    this.queueCoverageFrom = Date.now();
     this.messageDeliveryTracker = new Map();
     this.messageBatch = [];
     this.activeConnections = 0;
+    this.flushing = false;
+    this.flushFailures = 0;
+    this.nextFlushAt = 0;
+    this.undeliveredCheckedAt = new Map();
+    // Receipt events held for users who are not streaming, per username
+    this.pendingEvents = new Map();
+
+    // One journal per worker slot, so a restarted worker picks up exactly
+    // what its predecessor left behind
+    this.outbox = new MessageOutbox(
+      path.join(this.OUTBOX_DIR, `outbox-${process.env.WORKER_SLOT || 0}.log`)
+    );
     
     // Initialize batch processing and cleanup intervals
     this.initBatchProcessing();
     this.initCleanupInterval();
+    this.initClusterDelivery();
+  }
+
+  initClusterDelivery() {
+    // Every worker holds its own clients, so sends accepted elsewhere are
+    // delivered here as well
+    clusterBus.on("message", (message) =>
+      this.deliverMessage({ ...message, _relayed: true })
+    );
+
+    // Relayed messages may still sit in the batch of the worker that
+    // accepted them; that worker writes them early on request and says
+    // when they are stored
+    clusterBus.on("persist", ({ messageIds }) =>
+      this.persistOnRequest(messageIds).catch((err) =>
+        logger.error("Persist request error:", err)
+      )
+    );
+
+    clusterBus.on("persisted", ({ messageIds }) =>
+      this.markRelayedPersisted(messageIds)
+    );
+
+    clusterBus.on("event", ({ usernames, payload, eventId }) =>
+      this.deliverEvent(usernames, payload, eventId)
+    );
+
+    clusterBus.on("events-taken", ({ username, eventIds }) =>
+      this.dropPendingEvents(username, eventIds)
+    );
+
+    clusterBus.on("changed", ({ messageId, changes }) =>
+      this.updateQueuedMessage(messageId, changes)
+    );
+
+    clusterBus.on("hidden", ({ messageId, username }) =>
+      this.hideQueuedMessage(messageId, username)
+    );
+
+    clusterBus.on("viewed", ({ messageId, username }) =>
+      this.markViewedInQueue(messageId, username)
+    );
+
+    clusterBus.on("deleted", ({ messageId }) =>
+      this.evictQueuedMessage(messageId)
+    );
+
+    clusterBus.on("delivered", ({ messageId, username }) =>
+      this.trackDelivery(messageId, username)
+    );
+
+    clusterBus.on("sent", ({ messageId, username }) =>
+      this.trackSent(messageId, username)
+    );
   }
   
   initBatchProcessing() {
-    setInterval(async () => {
-      if (this.messageBatch.length > 0) {
-        const batch = [...this.messageBatch];
-        this.messageBatch = [];
-  
-        try {
-          if (batch.length > 0) {
-            const result = await messageRepository.saveBulkMessages(batch);
-            logger.info(
-              `Batch processed: ${batch.length} messages saved to database`
-            );
-          }
-        } catch (error) {
-          logger.error("Error processing message batch:", error);
-          if (batch.length <= 20) {
-            this.messageBatch = [...this.messageBatch, ...batch];
-          } else {
-            logger.error(`Dropped ${batch.length} messages due to database error`);
-          }
+    setInterval(() => {
+      this.flushBatch();
+    }, this.BATCH_INTERVAL);
+  }
+
+  async flushBatch() {
+    if (
+      this.flushing ||
+      this.messageBatch.length === 0 ||
+      Date.now() < this.nextFlushAt
+    ) {
+      return;
+    }
+
+    this.flushing = true;
+    const batch = this.messageBatch.splice(0, this.BATCH_SIZE);
+
+    try {
+      await messageRepository.saveBulkMessages(
+        batch,
+        this.buildReceipts(batch)
+      );
+      logger.info(`Batch processed: ${batch.length} messages saved to database`);
+
+      this.flushFailures = 0;
+      this.nextFlushAt = 0;
+
+      this.announcePersisted(batch);
+
+      this.outbox
+        .commit(batch.map((message) => message._id.toString()))
+        .catch((err) => logger.error("Outbox commit error:", err));
+    } catch (error) {
+      // Inserts are idempotent, so the whole batch is simply retried; the
+      // journal still holds it should this worker die in the meantime
+      this.messageBatch = [...batch, ...this.messageBatch];
+      this.flushFailures++;
+
+      const backoff = Math.min(
+        this.BATCH_INTERVAL * 2 ** this.flushFailures,
+        this.MAX_FLUSH_BACKOFF
+      );
+      this.nextFlushAt = Date.now() + backoff;
+
+      logger.error(
+        `Error processing message batch of ${batch.length}, retrying in ${backoff}ms:`,
+        error
+      );
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // Writes the matching messages still waiting in this worker's batch right
+  // away, for updates that need their receipts in the database. The inserts
+  // are idempotent, so the regular flush later on is unaffected. Matching
+  // messages accepted by other workers and not yet stored there are
+  // requested from them, waiting at most PERSIST_WAIT_TIMEOUT.
+  async ensurePersisted(predicate) {
+    const relayed = this.messageQueue.filter(
+      (message) => message._relayed && predicate(message)
+    );
+    const waiting = relayed.length > 0 && this.awaitPersisted(relayed);
+
+    const pending = this.messageBatch.filter(predicate);
+    if (pending.length > 0) {
+      await messageRepository.saveBulkMessages(
+        pending,
+        this.buildReceipts(pending)
+      );
+
+      this.announcePersisted(pending);
+    }
+
+    if (waiting) {
+      await waiting;
+    }
+
+    return pending.length;
+  }
+
+  awaitPersisted(messages) {
+    const remaining = new Set(
+      messages.map((message) => message._id.toString())
+    );
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        clusterBus.removeListener("persisted", onPersisted);
+        resolve();
+      };
+
+      const onPersisted = ({ messageIds }) => {
+        for (const messageId of messageIds) {
+          remaining.delete(messageId);
+        }
+        if (remaining.size === 0) {
+          done();
         }
+      };
+
+      const timer = setTimeout(done, this.PERSIST_WAIT_TIMEOUT);
+      clusterBus.on("persisted", onPersisted);
+      clusterBus.publish("persist", { messageIds: [...remaining] });
+    });
+  }
+
+  // Answers for the requested messages this worker accepted: those still
+  // batched are written now, the others are already stored
+  async persistOnRequest(messageIds) {
+    const requested = new Set(messageIds);
+    const accepted = this.messageQueue
+      .filter(
+        (message) =>
+          !message._relayed && requested.has(message._id.toString())
+      )
+      .map((message) => message._id.toString());
+
+    const batched = new Set(
+      this.messageBatch
+        .filter((message) => requested.has(message._id.toString()))
+        .map((message) => message._id.toString())
+    );
+
+    if (batched.size > 0) {
+      await this.ensurePersisted((message) =>
+        batched.has(message._id.toString())
+      );
+    }
+
+    const stored = accepted.filter((messageId) => !batched.has(messageId));
+    if (stored.length > 0) {
+      clusterBus.publish("persisted", { messageIds: stored });
+    }
+  }
+
+  // Lets the other workers know these messages are in the database
+  announcePersisted(messages) {
+    clusterBus.publish("persisted", {
+      messageIds: messages.map((message) => message._id.toString()),
+    });
+  }
+
+  markRelayedPersisted(messageIds) {
+    const persisted = new Set(messageIds);
+
+    for (const message of this.messageQueue) {
+      if (message._relayed && persisted.has(message._id.toString())) {
+        delete message._relayed;
       }
-    }, this.BATCH_INTERVAL);
+    }
+  }
+
+  // One receipt per recipient; acks that arrived before the flush are
+  // recorded straight away
+  buildReceipts(batch) {
+    const receipts = [];
+
+    for (const message of batch) {
+      const tracker = this.messageDeliveryTracker.get(message._id.toString());
+
+      for (const username of message.recipients || []) {
+        if (username === message.sender) continue;
+
+        receipts.push({
+          messageId: message._id,
+          username,
+          sender: message.sender,
+          conversationId: message.conversationId || null,
+          timestamp: message.timestamp,
+          deliveredAt:
+            tracker && tracker.deliveredTo.has(username) ? new Date() : null,
+          expiresAt: message.expiresAt || null,
+        });
+      }
+    }
+
+    return receipts;
+  }
+
+  async recoverOutbox() {
+    const messages = await this.outbox.recover();
+
+    if (messages.length > 0) {
+      this.messageBatch = [...messages, ...this.messageBatch];
+      logger.info(
+        `Recovered ${messages.length} unsaved messages from ${this.outbox.filePath}`
+      );
+    }
+
+    return messages.length;
   }
   
   initCleanupInterval() {
@@ -53,9 +310,10 @@ class MessageService {
       const now = Date.now();
       let expiredCount = 0;
   
-      // Clean up expired client connections
+      // Clean up expired client connections. Streaming clients manage
+      // their own liveness, so only stale long-poll requests are dropped.
       for (const [clientId, data] of this.connectedClients.entries()) {
-        if (now - data.timestamp > 10000) {
+        if (!data.persistent && now - data.timestamp > 10000) {
           this.connectedClients.delete(clientId);
           expiredCount++;
           this.activeConnections--;
@@ -72,15 +330,36 @@ class MessageService {
       if (this.messageQueue.length > this.MAX_QUEUE_SIZE * 0.9) {
         const removed = this.messageQueue.length - Math.floor(this.MAX_QUEUE_SIZE * 0.7);
         this.messageQueue.splice(0, removed);
+        this.queueCoverageFrom = new Date(
+          this.messageQueue[0].timestamp
+        ).getTime();
         logger.info(`Trimmed message queue by ${removed} messages`);
       }
   
-      // Clean up old message delivery tracking data
+      // Disappearing messages leave memory as soon as they expire
+      const live = this.messageQueue.filter(
+        (message) => !isExpired(message, now)
+      );
+      if (live.length < this.messageQueue.length) {
+        logger.debug(
+          `Dropped ${this.messageQueue.length - live.length} expired messages from the queue`
+        );
+        this.messageQueue = live;
+      }
+
+      this.redeliverUnacked(now);
+
+      // Clean up old message delivery tracking data. Entries live as long
+      // as their message is queued; acks are persisted per recipient, so
+      // nothing is lost once they go.
       const tenMinutesAgo = now - 600000;
       let trackerCleanupCount = 0;
+      const queuedIds = new Set(
+        this.messageQueue.map((message) => message._id.toString())
+      );
   
       for (const [messageId, data] of this.messageDeliveryTracker.entries()) {
-        if (data.timestamp < tenMinutesAgo) {
+        if (data.timestamp < tenMinutesAgo && !queuedIds.has(messageId)) {
           this.messageDeliveryTracker.delete(messageId);
           trackerCleanupCount++;
         }
@@ -91,26 +370,102 @@ class MessageService {
           `Cleaned up ${trackerCleanupCount} expired message delivery tracking entries`
         );
       }
+
+      for (const [username, checkedAt] of this.undeliveredCheckedAt) {
+        if (now - checkedAt > this.ACK_TIMEOUT) {
+          this.undeliveredCheckedAt.delete(username);
+        }
+      }
+
+      for (const [username, events] of this.pendingEvents) {
+        const fresh = events.filter(
+          (event) => now - event.timestamp < this.PENDING_EVENT_TTL
+        );
+        if (fresh.length === 0) {
+          this.pendingEvents.delete(username);
+        } else if (fresh.length < events.length) {
+          this.pendingEvents.set(username, fresh);
+        }
+      }
     }, 5000);
   }
+
+  // Pushes messages again to streaming clients whose previous copy was not
+  // acknowledged in time
+  redeliverUnacked(now) {
+    const streams = new Map();
+    for (const [clientId, client] of this.connectedClients) {
+      if (!client.persistent) continue;
+      if (!streams.has(client.username)) streams.set(client.username, []);
+      streams.get(client.username).push([clientId, client]);
+    }
+
+    if (streams.size === 0) return;
+
+    let redelivered = 0;
+
+    for (const message of this.messageQueue) {
+      const tracker = this.messageDeliveryTracker.get(message._id.toString());
+      if (!tracker) continue;
+
+      for (const [username, sentAt] of tracker.sentTo) {
+        if (
+          now - sentAt < this.ACK_TIMEOUT ||
+          tracker.deliveredTo.has(username) ||
+          !streams.has(username)
+        ) {
+          continue;
+        }
+
+        for (const [clientId, client] of streams.get(username)) {
+          if (
+            client.conversationId &&
+            String(message.conversationId) !== client.conversationId
+          ) {
+            continue;
+          }
+
+          try {
+            client.send({
+              type: "message",
+              data: this.toClientMessage(message),
+              cursor: encodeCursor(message),
+            });
+            redelivered++;
+          } catch (error) {
+            this.removeClient(clientId);
+          }
+        }
+
+        tracker.sentTo.set(username, now);
+      }
+    }
+
+    if (redelivered > 0) {
+      logger.debug(`Redelivered ${redelivered} unacknowledged messages`);
+    }
+  }
   
   broadcastMessage(message) {
+    clusterBus.publish("message", this.toClientMessage(message));
+
+    return this.deliverMessage(message);
+  }
+
+  // Hands a message to this worker's connected clients and queues it for
+  // those who poll later. Runs for local sends and for messages relayed
+  // from other workers.
+  deliverMessage(message) {
     const start = Date.now();
     let deliveredCount = 0;
     const batchSize = 1000;
-    const recipients = message.recipients || [];
+    const recipients = new Set(message.recipients || []);
   
-    if (!recipients.length) {
+    if (!recipients.size) {
       return 0;
     }
   
     const messageId = message._id.toString();
-    if (!this.messageDeliveryTracker.has(messageId)) {
-      this.messageDeliveryTracker.set(messageId, {
-        deliveredTo: new Set(),
-        timestamp: Date.now(),
-      });
-    }
   
     const processBatch = (clientEntries, batchIndex) => {
       const batchStart = batchIndex * batchSize;
@@ -124,32 +479,46 @@ class MessageService {
         const [clientId, client] = clientEntries[i];
         const username = client.username;
   
-        if (!recipients.includes(username)) {
+        if (!recipients.has(username)) {
+          continue;
+        }
+
+        if (
+          client.conversationId &&
+          String(message.conversationId) !== client.conversationId
+        ) {
           continue;
         }
   
-        const messageTracker = this.messageDeliveryTracker.get(messageId);
-        if (messageTracker && messageTracker.deliveredTo.has(username)) {
+        const messageTracker = this.getTracker(messageId);
+        if (messageTracker.deliveredTo.has(username)) {
           continue;
         }
   
         try {
-          const clientMessage = { ...message };
-          delete clientMessage._workerId;
-          delete clientMessage._queued;
-  
-          client.res.json({
+          client.send({
             type: "message",
-            data: clientMessage,
+            data: this.toClientMessage(message),
+            cursor: encodeCursor(message),
           });
   
-          if (messageTracker) {
-            messageTracker.deliveredTo.add(username);
+          deliveredCount++;
+
+          // Pending until the client acks; streaming clients stay registered
+          this.markMessageSent(messageId, username);
+
+          if (client.persistent) {
+            continue;
+          }
+
+          if (message.viewOnce) {
+            this.consumeViewOnce([message], username).catch((err) =>
+              logger.error("View-once update error:", err)
+            );
           }
   
           this.connectedClients.delete(clientId);
           this.activeConnections--;
-          deliveredCount++;
         } catch (error) {
           this.connectedClients.delete(clientId);
           this.activeConnections--;
@@ -183,7 +552,8 @@ class MessageService {
     return deliveredCount;
   }
   
-  addToMessageBatch(message) {
+  async addToMessageBatch(message) {
+    await this.outbox.append(message);
     this.messageBatch.push(message);
   }
   
@@ -199,16 +569,119 @@ class MessageService {
     return load;
   }
   
-  addClient(clientId, res, username) {
+  addClient(clientId, res, username, conversationId = null, batched = false) {
     this.connectedClients.set(clientId, {
       res,
       username,
+      conversationId,
+      persistent: false,
+      // Cursor-based pollers always get a list, even of a single message
+      send: (payload) =>
+        res.json(
+          batched && payload.type === "message"
+            ? {
+                type: "messages",
+                data: [payload.data],
+                cursor: payload.cursor,
+                hasMore: false,
+              }
+            : payload
+        ),
       timestamp: Date.now(),
     });
     
     this.activeConnections++;
   }
-  
+
+  async addStreamClient(
+    clientId,
+    {
+      username,
+      conversationId,
+      transport,
+      send,
+      since = null,
+      sessionId = null,
+      close = null,
+    }
+  ) {
+    // While missed messages are replayed, live pushes are held back so the
+    // client sees everything in order and without gaps
+    let buffered = since ? [] : null;
+
+    this.connectedClients.set(clientId, {
+      username,
+      conversationId: conversationId || null,
+      transport,
+      sessionId,
+      close,
+      persistent: true,
+      send: (payload) => (buffered ? buffered.push(payload) : send(payload)),
+      timestamp: Date.now(),
+    });
+
+    this.activeConnections++;
+
+    if (!since) {
+      return;
+    }
+
+    try {
+      const replayed = new Set();
+      let cursor = since;
+      let hasMore = true;
+
+      while (hasMore && this.connectedClients.has(clientId)) {
+        const page = await this.getMessagesSince(
+          username,
+          cursor,
+          conversationId
+        );
+
+        for (const message of page.messages) {
+          const messageId = message._id.toString();
+          replayed.add(messageId);
+          this.markMessageSent(messageId, username);
+
+          send({
+            type: "message",
+            data: this.toClientMessage(message),
+            cursor: encodeCursor(message),
+          });
+        }
+
+        hasMore = page.hasMore && page.messages.length > 0;
+        if (hasMore) {
+          const last = page.messages[page.messages.length - 1];
+          cursor = decodeCursor(encodeCursor(last));
+        }
+      }
+
+      for (const payload of buffered) {
+        if (
+          payload.type === "message" &&
+          replayed.has(payload.data._id.toString())
+        ) {
+          continue;
+        }
+        send(payload);
+      }
+    } finally {
+      buffered = null;
+    }
+  }
+
+  // Ends the streams opened under any of the given sessions
+  closeSessionStreams(sessionIds) {
+    const revoked = new Set(sessionIds);
+
+    for (const client of this.connectedClients.values()) {
+      if (client.close && revoked.has(client.sessionId)) {
+        client.close();
+      }
+    }
+  }
+
   removeClient(clientId) {
     if (this.connectedClients.has(clientId)) {
       this.connectedClients.delete(clientId);
@@ -218,34 +691,498 @@ class MessageService {
     return false;
   }
   
-  hasMessageForUser(username) {
+  hasMessageForUser(username, conversationId = null) {
     for (let i = 0; i < Math.min(this.messageQueue.length, 1000); i++) {
       const message = this.messageQueue[i];
       if (!message || !message.recipients) continue;
+
+      if (conversationId && String(message.conversationId) !== conversationId) {
+        continue;
+      }
   
       const messageId = message._id.toString();
   
-      if (message.recipients.includes(username)) {
-        const messageTracker = this.messageDeliveryTracker.get(messageId);
-        if (!messageTracker || !messageTracker.deliveredTo.has(username)) {
-          return { message, messageId };
-        }
+      if (
+        this.isVisibleTo(message, username) &&
+        !this.isInFlight(messageId, username)
+      ) {
+        return { message, messageId };
       }
     }
     
     return null;
   }
+
+  // Acked, or sent recently enough that the ack may still be on its way
+  isInFlight(messageId, username) {
+    const tracker = this.messageDeliveryTracker.get(messageId);
+    if (!tracker) return false;
+    if (tracker.deliveredTo.has(username)) return true;
+
+    const sentAt = tracker.sentTo.get(username);
+    return sentAt !== undefined && Date.now() - sentAt < this.ACK_TIMEOUT;
+  }
+
+  // Falls back to the receipts in MongoDB for messages that are no longer
+  // queued in memory, e.g. after a restart. The lookup runs at most once
+  // per ack timeout for each user.
+  async findUndeliveredMessage(username, conversationId = null) {
+    const pending = this.hasMessageForUser(username, conversationId);
+    if (pending) return pending;
+
+    const key = `${username}:${conversationId || ""}`;
+    const checkedAt = this.undeliveredCheckedAt.get(key);
+    if (checkedAt && Date.now() - checkedAt < this.ACK_TIMEOUT) {
+      return null;
+    }
+    this.undeliveredCheckedAt.set(key, Date.now());
+
+    const stored = await messageRepository.getUndeliveredMessages(
+      username,
+      conversationId,
+      this.MAX_REPLAY_SIZE
+    );
+
+    for (const message of stored) {
+      const messageId = message._id.toString();
+      if (!this.isInFlight(messageId, username)) {
+        this.undeliveredCheckedAt.delete(key);
+        return { message, messageId };
+      }
+    }
+
+    return null;
+  }
   
-  markMessageDelivered(messageId, username) {
-    if (!this.messageDeliveryTracker.has(messageId)) {
-      this.messageDeliveryTracker.set(messageId, {
-        deliveredTo: new Set([username]),
-        timestamp: Date.now(),
-      });
+  getPendingMessagesForUser(username, conversationId = null, limit = 100) {
+    const pending = [];
+
+    for (const message of this.messageQueue) {
+      if (pending.length >= limit) break;
+      if (!message || !message.recipients) continue;
+
+      if (conversationId && String(message.conversationId) !== conversationId) {
+        continue;
+      }
+
+      if (!this.isVisibleTo(message, username)) continue;
+
+      const tracker = this.messageDeliveryTracker.get(message._id.toString());
+      if (!tracker || !tracker.deliveredTo.has(username)) {
+        pending.push(message);
+      }
+    }
+
+    return pending;
+  }
+
+  // Everything for the user after the cursor, oldest first. The in-memory
+  // queue holds messages that may not be in the database yet; MongoDB fills
+  // in whatever is older than the queue reaches back.
+  async getMessagesSince(username, cursor, conversationId = null) {
+    const byId = new Map();
+    let hasMore = false;
+
+    if (cursor.timestamp.getTime() < this.queueCoverageFrom) {
+      const stored = await messageRepository.getMessagesAfterCursor(
+        username,
+        cursor,
+        conversationId,
+        this.MAX_REPLAY_SIZE + 1
+      );
+
+      hasMore = stored.length > this.MAX_REPLAY_SIZE;
+      for (const message of stored) {
+        byId.set(message._id.toString(), message);
+      }
+    }
+
+    for (const message of this.messageQueue) {
+      if (!message || !message.recipients) continue;
+
+      const messageId = message._id.toString();
+      if (byId.has(messageId) || !isAfterCursor(message, cursor)) continue;
+      if (!this.isVisibleTo(message, username)) continue;
+
+      if (conversationId && String(message.conversationId) !== conversationId) {
+        continue;
+      }
+
+      byId.set(messageId, message);
+    }
+
+    const messages = [...byId.values()].sort(compareByCursor);
+
+    return {
+      messages: messages.slice(0, this.MAX_REPLAY_SIZE),
+      hasMore: hasMore || messages.length > this.MAX_REPLAY_SIZE,
+    };
+  }
+
+  // Queued events also reach users who poll: they are held until the next
+  // poll, or answer one that is already waiting. Ephemeral ones are only
+  // pushed to open streams.
+  publishEvent(usernames, payload, { queue = false } = {}) {
+    const eventId = queue ? crypto.randomUUID() : null;
+    clusterBus.publish("event", { usernames, payload, eventId });
+
+    return this.deliverEvent(usernames, payload, eventId);
+  }
+
+  deliverEvent(usernames, payload, eventId = null) {
+    const targets = new Set(usernames);
+    const answered = new Set();
+    let deliveredCount = 0;
+
+    // Ephemeral events only go to streaming clients; they would otherwise
+    // use up a long-poll request that is waiting for a real message.
+    for (const [clientId, client] of this.connectedClients.entries()) {
+      if (!targets.has(client.username)) {
+        continue;
+      }
+
+      if (!client.persistent) {
+        if (!eventId || answered.has(client.username)) continue;
+        answered.add(client.username);
+      }
+
+      try {
+        client.send(
+          client.persistent ? payload : { type: "events", data: [payload] }
+        );
+        deliveredCount++;
+      } catch (error) {
+        this.removeClient(clientId);
+        continue;
+      }
+
+      if (!client.persistent) {
+        this.removeClient(clientId);
+      }
+    }
+
+    if (eventId) {
+      for (const username of targets) {
+        if (answered.has(username)) {
+          clusterBus.publish("events-taken", { username, eventIds: [eventId] });
+        } else {
+          this.queueEvent(username, eventId, payload);
+        }
+      }
+    }
+
+    return deliveredCount;
+  }
+
+  queueEvent(username, eventId, payload) {
+    if (!this.pendingEvents.has(username)) {
+      this.pendingEvents.set(username, []);
+    }
+
+    const events = this.pendingEvents.get(username);
+    events.push({ eventId, payload, timestamp: Date.now() });
+
+    if (events.length > this.MAX_PENDING_EVENTS) {
+      events.splice(0, events.length - this.MAX_PENDING_EVENTS);
+    }
+  }
+
+  // Hands out the receipts held for a poller; the other workers drop their
+  // copies so the poller sees each one once
+  takePendingEvents(username) {
+    const events = this.pendingEvents.get(username);
+    if (!events || events.length === 0) {
+      return [];
+    }
+
+    this.pendingEvents.delete(username);
+    clusterBus.publish("events-taken", {
+      username,
+      eventIds: events.map((event) => event.eventId),
+    });
+
+    return events.map((event) => event.payload);
+  }
+
+  dropPendingEvents(username, eventIds) {
+    const events = this.pendingEvents.get(username);
+    if (!events) return;
+
+    const taken = new Set(eventIds);
+    const remaining = events.filter((event) => !taken.has(event.eventId));
+
+    if (remaining.length === 0) {
+      this.pendingEvents.delete(username);
     } else {
+      this.pendingEvents.set(username, remaining);
+    }
+  }
+
+  // Brings the copies of a changed message held in memory up to date, here
+  // and on the other workers
+  applyChanges(messageId, changes) {
+    clusterBus.publish("changed", { messageId, changes });
+
+    this.updateQueuedMessage(messageId, changes);
+  }
+
+  updateQueuedMessage(messageId, changes) {
+    for (const message of this.messageQueue) {
+      if (message._id.toString() === messageId) {
+        Object.assign(message, changes);
+      }
+    }
+  }
+
+  // Stops a message from being delivered to a user who deleted it
+  applyHide(messageId, username) {
+    clusterBus.publish("hidden", { messageId, username });
+
+    this.hideQueuedMessage(messageId, username);
+  }
+
+  hideQueuedMessage(messageId, username) {
+    for (const message of this.messageQueue) {
+      if (message._id.toString() === messageId) {
+        message.hiddenFor = [...(message.hiddenFor || []), username];
+      }
+    }
+
+    this.trackDelivery(messageId, username);
+  }
+
+  // Called once a recipient has been handed view-once messages: their key
+  // goes, in memory and in the database, and the sender is told. A message
+  // that no longer has the recipient's key was seen before.
+  async consumeViewOnce(messages, username) {
+    const unseen = messages.filter(
+      (message) =>
+        message.viewOnce &&
+        message.sender !== username &&
+        message.recipients.includes(username) &&
+        message.recipientKeys &&
+        message.recipientKeys[username]
+    );
+    if (unseen.length === 0) {
+      return;
+    }
+
+    const messageIds = unseen.map((message) => message._id.toString());
+    for (const messageId of messageIds) {
+      this.applyViewed(messageId, username);
+    }
+
+    const ids = new Set(messageIds);
+    await this.ensurePersisted((message) => ids.has(message._id.toString()));
+    const viewedAt = await messageRepository.markViewed(messageIds, username);
+
+    this.notifySenders(
+      "message-viewed",
+      unseen.map((message) => ({
+        messageId: message._id,
+        sender: message.sender,
+      })),
+      { viewer: username, viewedAt }
+    );
+  }
+
+  applyViewed(messageId, username) {
+    clusterBus.publish("viewed", { messageId, username });
+
+    this.markViewedInQueue(messageId, username);
+  }
+
+  // Queued copies double as the unsaved batch entries on the worker that
+  // accepted the message, so they are stored already stripped
+  markViewedInQueue(messageId, username) {
+    for (const message of [...this.messageQueue, ...this.messageBatch]) {
+      if (message._id.toString() !== messageId || !message.viewOnce) {
+        continue;
+      }
+
+      message.viewedBy = [...new Set([...(message.viewedBy || []), username])];
+      if (message.recipientKeys) {
+        message.recipientKeys = { ...message.recipientKeys };
+        delete message.recipientKeys[username];
+      }
+      if (message.attachments) {
+        message.attachments = message.attachments.map((attachment) => {
+          const recipientKeys = { ...attachment.recipientKeys };
+          delete recipientKeys[username];
+          return { ...attachment, recipientKeys };
+        });
+      }
+
+      const everyoneViewed = message.recipients
+        .filter((recipient) => recipient !== message.sender)
+        .every((recipient) => message.viewedBy.includes(recipient));
+
+      if (everyoneViewed && !message.contentPurgedAt) {
+        delete message.encryptedContent;
+        delete message.iv;
+        message.recipientKeys = {};
+        message.attachments = [];
+        message.contentPurgedAt = new Date();
+      }
+    }
+  }
+
+  // Drops a message deleted for everyone from memory on every worker
+  applyDelete(messageId) {
+    clusterBus.publish("deleted", { messageId });
+
+    this.evictQueuedMessage(messageId);
+  }
+
+  evictQueuedMessage(messageId) {
+    this.messageQueue = this.messageQueue.filter(
+      (message) => message._id.toString() !== messageId
+    );
+    this.messageDeliveryTracker.delete(messageId);
+  }
+
+  // Tells each sender which of their messages changed state, one event per
+  // sender. receipts holds { messageId, sender } pairs.
+  notifySenders(type, receipts, data) {
+    const bySender = new Map();
+
+    for (const { messageId, sender } of receipts) {
+      if (!bySender.has(sender)) bySender.set(sender, []);
+      bySender.get(sender).push(messageId);
+    }
+
+    for (const [sender, messageIds] of bySender) {
+      this.publishEvent(
+        [sender],
+        { type, data: { messageIds, ...data } },
+        { queue: true }
+      );
+    }
+  }
+
+  toClientMessage(message) {
+    const clientMessage = { ...message };
+    delete clientMessage._workerId;
+    delete clientMessage._queued;
+    delete clientMessage._relayed;
+    delete clientMessage.hiddenFor;
+    delete clientMessage.viewedBy;
+    delete clientMessage.searchTokens;
+    return clientMessage;
+  }
+
+  isVisibleTo(message, username) {
+    return (
+      message.recipients.includes(username) &&
+      !(message.hiddenFor && message.hiddenFor.includes(username)) &&
+      !isExpired(message)
+    );
+  }
+
+  getTracker(messageId) {
+    let tracker = this.messageDeliveryTracker.get(messageId);
+    if (!tracker) {
+      tracker = {
+        deliveredTo: new Set(),
+        sentTo: new Map(),
+        timestamp: Date.now(),
+      };
+      this.messageDeliveryTracker.set(messageId, tracker);
+    }
+    return tracker;
+  }
+
+  markMessageSent(messageId, username) {
+    clusterBus.publish("sent", { messageId, username });
+
+    this.trackSent(messageId, username);
+  }
+
+  trackSent(messageId, username) {
+    this.getTracker(messageId).sentTo.set(username, Date.now());
+  }
+
+  markMessageDelivered(messageId, username) {
+    clusterBus.publish("delivered", { messageId, username });
+
+    this.trackDelivery(messageId, username);
+  }
+
+  trackDelivery(messageId, username) {
+    const tracker = this.getTracker(messageId);
+    tracker.deliveredTo.add(username);
+    tracker.sentTo.delete(username);
+    tracker.timestamp = Date.now();
+  }
+
+  // Acks are kept in memory for messages that are still queued or batched
+  // and persisted on the recipient's receipt for everything already stored
+  async acknowledgeMessages(messageIds, username) {
+    const acknowledged = new Map();
+    const unsaved = new Map(
+      [...this.messageQueue, ...this.messageBatch].map((message) => [
+        message._id.toString(),
+        message,
+      ])
+    );
+
+    // Only messages the caller actually received are tracked and
+    // announced, so made-up ids neither reach the bus nor pile up as
+    // trackers
+    for (const messageId of messageIds) {
       const tracker = this.messageDeliveryTracker.get(messageId);
-      tracker.deliveredTo.add(username);
-      tracker.timestamp = Date.now();
+      const message = unsaved.get(messageId);
+
+      if (!message || !message.recipients.includes(username)) {
+        continue;
+      }
+
+      if (
+        message.sender !== username &&
+        !(tracker && tracker.deliveredTo.has(username))
+      ) {
+        acknowledged.set(messageId, message.sender);
+      }
+
+      this.markMessageDelivered(messageId, username);
+    }
+
+    // Stored messages have a receipt for each recipient
+    const receipts = await messageRepository.markDelivered(
+      messageIds,
+      username
+    );
+    for (const receipt of receipts) {
+      const messageId = receipt.messageId.toString();
+
+      if (!unsaved.has(messageId)) {
+        this.markMessageDelivered(messageId, username);
+      }
+      acknowledged.set(messageId, receipt.sender);
+    }
+
+    const viewOnce = messageIds
+      .map((messageId) => unsaved.get(messageId))
+      .filter((message) => message && message.viewOnce);
+    const known = new Set(viewOnce.map((message) => message._id.toString()));
+    const stored = await messageRepository.findViewOnce(
+      messageIds.filter((messageId) => !known.has(messageId)),
+      username
+    );
+    await this.consumeViewOnce(
+      [
+        ...viewOnce,
+        ...stored.map((message) => ({ ...message, viewOnce: true })),
+      ],
+      username
+    );
+
+    if (acknowledged.size > 0) {
+      this.notifySenders(
+        "delivery-receipt",
+        [...acknowledged].map(([messageId, sender]) => ({ messageId, sender })),
+        { recipient: username, deliveredAt: new Date() }
+      );
     }
   }
   
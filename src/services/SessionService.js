@@ -0,0 +1,106 @@
+const sessionRepository = require("../repositories/SessionRepository");
+const refreshTokenRepository = require("../repositories/RefreshTokenRepository");
+const clusterBus = require("./ClusterBus");
+const EventEmitter = require("events");
+const logger = require("../utils/logger");
+
+// Checks the session behind every authenticated request. Each worker keeps
+// a short-lived cache of the answer; revocations are broadcast so every
+// worker drops its cached entry at once instead of waiting for it to expire.
+// Emits "revoked" with the ids so open streams can be closed too.
+class SessionService extends EventEmitter {
+  constructor() {
+    super();
+
+    // Constants
+    this.CACHE_TTL = 60000;
+    this.CACHE_CLEANUP_INTERVAL = 300000;
+
+    // sessionId -> { username, active, revoked, expiry }
+    this.cache = new Map();
+
+    this.initCacheCleanup();
+    this.initClusterRevocation();
+  }
+
+  initCacheCleanup() {
+    setInterval(() => {
+      const now = Date.now();
+
+      for (const [sessionId, entry] of this.cache.entries()) {
+        if (now >= entry.expiry) {
+          this.cache.delete(sessionId);
+        }
+      }
+    }, this.CACHE_CLEANUP_INTERVAL).unref();
+  }
+
+  initClusterRevocation() {
+    clusterBus.on("sessions-revoked", ({ sessionIds }) =>
+      this.forget(sessionIds)
+    );
+  }
+
+  // Revoked ids stay cached as revoked, so a lookup that raced the
+  // revocation cannot put them back as active
+  forget(sessionIds) {
+    const expiry = Date.now() + this.CACHE_TTL;
+
+    for (const sessionId of sessionIds) {
+      this.cache.set(String(sessionId), {
+        active: false,
+        revoked: true,
+        expiry,
+      });
+    }
+
+    this.emit("revoked", sessionIds.map(String));
+  }
+
+  async isActive(sessionId, username, ip) {
+    const cached = this.cache.get(sessionId);
+    if (cached && Date.now() < cached.expiry) {
+      return cached.active && cached.username === username;
+    }
+
+    // A cache miss doubles as the session's last-seen update
+    const session = await sessionRepository.touch(sessionId, ip);
+    const active = Boolean(session) && session.username === username;
+
+    const current = this.cache.get(sessionId);
+    if (!current || !current.revoked || Date.now() >= current.expiry) {
+      this.cache.set(sessionId, {
+        username,
+        active,
+        expiry: Date.now() + this.CACHE_TTL,
+      });
+    }
+
+    return active;
+  }
+
+  // Revokes sessions of a user along with their refresh tokens. Takes the
+  // same options as SessionRepository.revoke and returns the revoked ids.
+  async revoke(username, options) {
+    const sessionIds = await sessionRepository.revoke(username, options);
+
+    if (sessionIds.length === 0) {
+      return sessionIds;
+    }
+
+    await Promise.all(
+      sessionIds.map((sessionId) =>
+        refreshTokenRepository.revokeFamily(sessionId)
+      )
+    );
+
+    this.forget(sessionIds);
+    clusterBus.publish("sessions-revoked", { sessionIds });
+
+    logger.info(`Revoked ${sessionIds.length} session(s) of ${username}`);
+
+    return sessionIds;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,76 @@
+const tokenRevocationRepository = require("../repositories/TokenRevocationRepository");
+const clusterBus = require("./ClusterBus");
+
+// Answers "has this access token been revoked?" for every request. Each
+// worker caches the answers: revocations until the token expires, and
+// tokens found valid for a short while. New revocations are broadcast, so
+// a token revoked on one worker is rejected by all of them straight away.
+class TokenRevocationService {
+  constructor() {
+    // Constants
+    this.CACHE_TTL = 60000;
+    this.CACHE_CLEANUP_INTERVAL = 300000;
+
+    // jti -> { revoked, expiry }
+    this.cache = new Map();
+
+    this.initCacheCleanup();
+    this.initClusterRevocation();
+  }
+
+  initCacheCleanup() {
+    setInterval(() => {
+      const now = Date.now();
+
+      for (const [jti, entry] of this.cache.entries()) {
+        if (now >= entry.expiry) {
+          this.cache.delete(jti);
+        }
+      }
+    }, this.CACHE_CLEANUP_INTERVAL).unref();
+  }
+
+  initClusterRevocation() {
+    clusterBus.on("token-revoked", ({ jti, exp }) => this.remember(jti, exp));
+  }
+
+  remember(jti, exp) {
+    this.cache.set(jti, { revoked: true, expiry: exp * 1000 });
+  }
+
+  async isRevoked(jti) {
+    const cached = this.cache.get(jti);
+    if (cached && Date.now() < cached.expiry) {
+      return cached.revoked;
+    }
+
+    const revoked = await tokenRevocationRepository.isRevoked(jti);
+
+    // A revocation that arrived during the lookup wins
+    const current = this.cache.get(jti);
+    if (!current || !current.revoked) {
+      this.cache.set(jti, {
+        revoked,
+        expiry: Date.now() + this.CACHE_TTL,
+      });
+    }
+
+    return revoked || Boolean(current && current.revoked);
+  }
+
+  // Takes a verified token payload
+  async revoke({ jti, username, exp }) {
+    if (!jti || exp * 1000 <= Date.now()) {
+      return false;
+    }
+
+    await tokenRevocationRepository.revoke(jti, username, exp);
+
+    this.remember(jti, exp);
+    clusterBus.publish("token-revoked", { jti, exp });
+
+    return true;
+  }
+}
+
+module.exports = new TokenRevocationService();
@@ -0,0 +1,330 @@
+// services/WebSocketService.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { WebSocketServer, WebSocket } = require("ws");
+const logger = require("../utils/logger");
+const { verifyToken, getUser } = require("../middleware/auth");
+const conversationRepository = require("../repositories/ConversationRepository");
+const messageService = require("./MessageService");
+const sessionService = require("./SessionService");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+
+class WebSocketService {
+  constructor() {
+    // Constants
+    this.PATH = "/api/messages/ws";
+    this.HEARTBEAT_INTERVAL = 30000;
+    this.MAX_PAYLOAD = 64 * 1024;
+    this.MAX_ACKS_PER_FRAME = 500;
+    this.MEMBERSHIP_CACHE_TTL = 60000;
+
+    this.wss = null;
+    this.heartbeat = null;
+  }
+
+  attach(server) {
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: this.MAX_PAYLOAD,
+    });
+
+    server.on("upgrade", (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch((error) => {
+        logger.error("WebSocket upgrade error:", error);
+        this.rejectUpgrade(socket, 500, "Internal Server Error");
+      });
+    });
+
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, this.HEARTBEAT_INTERVAL);
+
+    // Streams opened under a session end with it
+    sessionService.on("revoked", (sessionIds) => {
+      const revoked = new Set(sessionIds);
+
+      for (const ws of this.wss.clients) {
+        if (revoked.has(ws.sessionId)) {
+          ws.close(1008, "Session revoked");
+        }
+      }
+    });
+  }
+
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (url.pathname !== this.PATH) {
+      return this.rejectUpgrade(socket, 404, "Not Found");
+    }
+
+    if (messageService.isAtCapacity()) {
+      return this.rejectUpgrade(socket, 503, "Service Unavailable");
+    }
+
+    // Browsers cannot set headers on a WebSocket handshake, so the token
+    // may also be passed as a query parameter.
+    const authHeader = req.headers.authorization;
+    const token =
+      (authHeader && authHeader.split(" ")[1]) || url.searchParams.get("token");
+
+    if (!token) {
+      return this.rejectUpgrade(socket, 401, "Unauthorized");
+    }
+
+    let user;
+    let decoded;
+    try {
+      decoded = await verifyToken(token);
+      user =
+        decoded &&
+        decoded.username &&
+        decoded.sid &&
+        (await sessionService.isActive(
+          decoded.sid,
+          decoded.username,
+          req.socket.remoteAddress
+        )) &&
+        (await getUser(decoded.username));
+    } catch (error) {
+      user = null;
+    }
+
+    if (!user) {
+      return this.rejectUpgrade(socket, 401, "Unauthorized");
+    }
+
+    const since = url.searchParams.get("since")
+      ? decodeCursor(url.searchParams.get("since"))
+      : null;
+
+    if (url.searchParams.get("since") && !since) {
+      return this.rejectUpgrade(socket, 400, "Bad Request");
+    }
+
+    const conversationId = url.searchParams.get("conversationId");
+    if (conversationId) {
+      const conversation =
+        mongoose.isValidObjectId(conversationId) &&
+        (await conversationRepository.findForMember(
+          conversationId,
+          user.username
+        ));
+
+      if (!conversation) {
+        return this.rejectUpgrade(socket, 404, "Not Found");
+      }
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.sessionId = decoded.sid;
+      this.onConnection(ws, user.username, conversationId, since);
+    });
+  }
+
+  rejectUpgrade(socket, status, reason) {
+    socket.write(
+      `HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`
+    );
+    socket.destroy();
+  }
+
+  onConnection(ws, username, conversationId, since) {
+    const clientId = crypto.randomUUID();
+
+    ws.isAlive = true;
+    ws.username = username;
+    ws.conversations = new Map();
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    ws.on("message", (data) => {
+      this.onMessage(ws, data).catch((error) => {
+        logger.error("WebSocket message error:", error);
+        this.send(ws, { type: "error", message: "Failed to process frame" });
+      });
+    });
+
+    ws.on("close", () => {
+      messageService.removeClient(clientId);
+    });
+
+    ws.on("error", (error) => {
+      logger.debug("WebSocket error:", error.message);
+    });
+
+    this.send(ws, { type: "connected", clientId });
+
+    const registered = messageService.addStreamClient(clientId, {
+      username,
+      conversationId,
+      transport: "websocket",
+      send: (payload) => this.send(ws, payload),
+      since,
+    });
+
+    registered.catch((error) => {
+      logger.error("WebSocket replay error:", error);
+      ws.close(1011, "Replay failed");
+    });
+
+    if (since) {
+      return;
+    }
+
+    // Without a cursor, catch up on anything still undelivered, e.g. after
+    // falling back from long polling.
+    for (const message of messageService.getPendingMessagesForUser(
+      username,
+      conversationId
+    )) {
+      messageService.markMessageSent(message._id.toString(), username);
+      this.send(ws, {
+        type: "message",
+        data: messageService.toClientMessage(message),
+        cursor: encodeCursor(message),
+      });
+    }
+  }
+
+  async onMessage(ws, data) {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(ws, { type: "error", message: "Invalid JSON" });
+    }
+
+    if (!frame || typeof frame !== "object") {
+      return this.send(ws, { type: "error", message: "Invalid frame" });
+    }
+
+    switch (frame.type) {
+      case "ping":
+        return this.send(ws, { type: "pong" });
+
+      case "ack":
+        return this.onAck(ws, frame);
+
+      case "event":
+        return this.onEvent(ws, frame);
+
+      default:
+        return this.send(ws, {
+          type: "error",
+          message: `Unknown frame type: ${frame.type}`,
+        });
+    }
+  }
+
+  async onAck(ws, frame) {
+    const messageIds = Array.isArray(frame.messageIds)
+      ? frame.messageIds
+      : [frame.messageId];
+
+    const valid = messageIds
+      .slice(0, this.MAX_ACKS_PER_FRAME)
+      .filter((messageId) => mongoose.isValidObjectId(messageId));
+
+    try {
+      await messageService.acknowledgeMessages(valid, ws.username);
+      this.send(ws, { type: "ack", messageIds: valid });
+    } catch (error) {
+      logger.error("WebSocket ack error:", error);
+      this.send(ws, { type: "error", message: "Error acknowledging messages" });
+    }
+  }
+
+  async onEvent(ws, frame) {
+    const { event, conversationId, data } = frame;
+
+    if (typeof event !== "string" || !event || event.length > 50) {
+      return this.send(ws, { type: "error", message: "Invalid event name" });
+    }
+
+    if (!conversationId || !mongoose.isValidObjectId(conversationId)) {
+      return this.send(ws, {
+        type: "error",
+        message: "Events require a conversationId",
+      });
+    }
+
+    const recipients = await this.getEventRecipients(ws, conversationId);
+
+    if (!recipients) {
+      return this.send(ws, {
+        type: "error",
+        message: "Conversation not found",
+      });
+    }
+
+    messageService.publishEvent(recipients, {
+      type: "event",
+      data: {
+        event,
+        conversationId,
+        from: ws.username,
+        data: data === undefined ? null : data,
+        timestamp: new Date(),
+      },
+    });
+  }
+
+  async getEventRecipients(ws, conversationId) {
+    // Typing indicators and the like are frequent, so membership lookups
+    // are cached per connection for a short while.
+    const cached = ws.conversations.get(conversationId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.recipients;
+    }
+
+    const conversation = await conversationRepository.findForMember(
+      conversationId,
+      ws.username
+    );
+
+    if (!conversation) {
+      ws.conversations.delete(conversationId);
+      return null;
+    }
+
+    const recipients = conversation.members
+      .map((member) => member.username)
+      .filter((username) => username !== ws.username);
+
+    ws.conversations.set(conversationId, {
+      recipients,
+      expiresAt: Date.now() + this.MEMBERSHIP_CACHE_TTL,
+    });
+
+    return recipients;
+  }
+
+  send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  close() {
+    if (!this.wss) return;
+
+    clearInterval(this.heartbeat);
+
+    for (const ws of this.wss.clients) {
+      ws.close(1001, "Server shutting down");
+    }
+  }
+}
+
+module.exports = new WebSocketService();
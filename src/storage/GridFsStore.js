@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const BUCKET_NAME = "attachments";
+
+// Writes chunks straight into the bucket's chunks collection, one document
+// per upload chunk, so they can arrive in any order and be retried. The
+// files document that makes the blob readable is only added once every
+// chunk is in.
+class GridFsStore {
+  constructor() {
+    this.indexesReady = null;
+  }
+
+  get db() {
+    return mongoose.connection.db;
+  }
+
+  get chunks() {
+    return this.db.collection(`${BUCKET_NAME}.chunks`);
+  }
+
+  get files() {
+    return this.db.collection(`${BUCKET_NAME}.files`);
+  }
+
+  ensureIndexes() {
+    if (!this.indexesReady) {
+      this.indexesReady = this.chunks
+        .createIndex({ files_id: 1, n: 1 }, { unique: true })
+        .catch((err) => {
+          this.indexesReady = null;
+          throw err;
+        });
+    }
+
+    return this.indexesReady;
+  }
+
+  async writeChunk(attachmentId, index, data) {
+    await this.ensureIndexes();
+
+    await this.chunks.updateOne(
+      { files_id: attachmentId, n: index },
+      { $set: { data } },
+      { upsert: true }
+    );
+  }
+
+  async finalize(attachmentId, { size, chunkSize }) {
+    await this.files.updateOne(
+      { _id: attachmentId },
+      {
+        $setOnInsert: {
+          length: size,
+          chunkSize,
+          uploadDate: new Date(),
+          filename: attachmentId.toString(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  // end is inclusive, as in an HTTP Range
+  createReadStream(attachmentId, { start, end }) {
+    const bucket = new mongoose.mongo.GridFSBucket(this.db, {
+      bucketName: BUCKET_NAME,
+    });
+
+    return bucket.openDownloadStream(attachmentId, { start, end: end + 1 });
+  }
+
+  async remove(attachmentId) {
+    await this.chunks.deleteMany({ files_id: attachmentId });
+    await this.files.deleteOne({ _id: attachmentId });
+  }
+}
+
+module.exports = GridFsStore;
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+// One file per attachment; every chunk is written at its own offset, so
+// chunks can arrive in any order and be retried.
+class LocalDiskStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.ready = null;
+  }
+
+  pathFor(attachmentId) {
+    return path.join(this.directory, attachmentId.toString());
+  }
+
+  ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(this.directory, { recursive: true });
+    }
+
+    return this.ready;
+  }
+
+  async writeChunk(attachmentId, index, data, chunkSize) {
+    await this.ensureDirectory();
+
+    const handle = await fs.promises.open(
+      this.pathFor(attachmentId),
+      fs.constants.O_WRONLY | fs.constants.O_CREAT
+    );
+
+    try {
+      await handle.write(data, 0, data.length, index * chunkSize);
+      await handle.datasync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async finalize() {}
+
+  // end is inclusive, as in an HTTP Range
+  createReadStream(attachmentId, { start, end }) {
+    return fs.createReadStream(this.pathFor(attachmentId), { start, end });
+  }
+
+  async remove(attachmentId) {
+    await fs.promises.rm(this.pathFor(attachmentId), { force: true });
+  }
+}
+
+module.exports = LocalDiskStore;
@@ -0,0 +1,15 @@
+const GridFsStore = require("./GridFsStore");
+const LocalDiskStore = require("./LocalDiskStore");
+const {
+  ATTACHMENT_STORE,
+  ATTACHMENT_DIR,
+} = require("../config/attachment.config");
+
+// Attachment blob stores share one interface: writeChunk(id, index, data,
+// chunkSize), finalize(id, { size, chunkSize }), createReadStream(id,
+// { start, end }) and remove(id). Another backend only has to provide the
+// same four methods.
+module.exports =
+  ATTACHMENT_STORE === "local"
+    ? new LocalDiskStore(ATTACHMENT_DIR)
+    : new GridFsStore();
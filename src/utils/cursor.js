@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// Cursors are opaque to clients: base64url("<timestamp ms>:<ObjectId hex>").
+// Ordering by (timestamp, _id) keeps pages stable when several messages
+// share the same timestamp.
+
+const encodeCursor = (message) => {
+  if (!message) return null;
+
+  const timestamp = new Date(message.timestamp).getTime();
+  return Buffer.from(`${timestamp}:${message._id.toString()}`).toString(
+    "base64url"
+  );
+};
+
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || !cursor) return null;
+
+  const [timestamp, id] = Buffer.from(cursor, "base64url")
+    .toString("utf8")
+    .split(":");
+
+  if (!/^\d+$/.test(timestamp || "") || !/^[a-f0-9]{24}$/.test(id || "")) {
+    return null;
+  }
+
+  return {
+    timestamp: new Date(Number(timestamp)),
+    id: new mongoose.Types.ObjectId(id),
+  };
+};
+
+// Mongo filter for messages strictly older ("before") or newer ("after")
+// than the cursor position
+const cursorFilter = (cursor, direction) => {
+  const op = direction === "after" ? "$gt" : "$lt";
+
+  return {
+    $or: [
+      { timestamp: { [op]: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// In-memory equivalent of cursorFilter(cursor, "after")
+const isAfterCursor = (message, cursor) => {
+  const timestamp = new Date(message.timestamp).getTime();
+  const cursorTime = cursor.timestamp.getTime();
+
+  if (timestamp !== cursorTime) {
+    return timestamp > cursorTime;
+  }
+
+  return message._id.toString() > cursor.id.toString();
+};
+
+const compareByCursor = (a, b) => {
+  const diff = new Date(a.timestamp) - new Date(b.timestamp);
+  if (diff !== 0) return diff;
+
+  const idA = a._id.toString();
+  const idB = b._id.toString();
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  isAfterCursor,
+  compareByCursor,
+};
@@ -0,0 +1,62 @@
+// Message lifetimes. Every message expires after the retention period at the
+// latest; senders and conversations can pick a shorter timer, optionally
+// started only once the message is first read.
+
+const MIN_TTL_SECONDS = 5;
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const isValidTtl = (ttlSeconds) =>
+  Number.isInteger(ttlSeconds) &&
+  ttlSeconds >= MIN_TTL_SECONDS &&
+  ttlSeconds <= RETENTION_SECONDS;
+
+// Until it is read, an expire-after-read message only has the retention
+// period to worry about
+const expiresAtFor = ({ ttlSeconds, expireAfterRead }, from = new Date()) => {
+  const seconds =
+    ttlSeconds && !expireAfterRead ? ttlSeconds : RETENTION_SECONDS;
+
+  return new Date(from.getTime() + seconds * 1000);
+};
+
+// Update-pipeline equivalent of expiresAtFor, for moving a stored message's
+// expiry from its own timer settings
+const expiresAtExpression = (from) => ({
+  $add: [
+    from,
+    {
+      $multiply: [
+        {
+          $cond: [
+            {
+              $and: [
+                { $gt: [{ $ifNull: ["$ttlSeconds", 0] }, 0] },
+                { $ne: ["$expireAfterRead", true] },
+              ],
+            },
+            "$ttlSeconds",
+            RETENTION_SECONDS,
+          ],
+        },
+        1000,
+      ],
+    },
+  ],
+});
+
+const isExpired = (message, now = Date.now()) =>
+  Boolean(message.expiresAt) && new Date(message.expiresAt).getTime() <= now;
+
+// Mongo filter for documents that have not expired yet; documents written
+// without an expiry never do
+const notExpired = () => ({ expiresAt: { $not: { $lte: new Date() } } });
+
+module.exports = {
+  MIN_TTL_SECONDS,
+  RETENTION_SECONDS,
+  isValidTtl,
+  expiresAtFor,
+  expiresAtExpression,
+  isExpired,
+  notExpired,
+};
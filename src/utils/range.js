@@ -0,0 +1,40 @@
+// Parses a Range header against a blob of the given size. Returns the
+// inclusive byte range to send, undefined to send the whole blob (no
+// header, a malformed one or several ranges, which servers may ignore) or
+// null when the range cannot be satisfied.
+const parseRange = (header, size) => {
+  if (!header) {
+    return undefined;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return undefined;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === "") {
+    // Suffix range: the last n bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) {
+      return null;
+    }
+
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end =
+      match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+module.exports = { parseRange };
@@ -0,0 +1,39 @@
+// Helpers for per-user quotas. Days are UTC calendar days.
+
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const nextUsageDay = (date = new Date()) => {
+  const next = new Date(date);
+  next.setUTCHours(24, 0, 0, 0);
+  return next;
+};
+
+// What a message costs in storage: its ciphertext and every key envelope
+const messageSize = ({
+  encryptedContent,
+  iv,
+  recipientKeys,
+  recipients,
+  attachments,
+}) =>
+  (encryptedContent ? encryptedContent.length : 0) +
+  (iv ? iv.length : 0) +
+  JSON.stringify(recipientKeys || {}).length +
+  JSON.stringify(recipients || []).length +
+  (attachments && attachments.length > 0
+    ? JSON.stringify(attachments).length
+    : 0);
+
+// Stored bytes are kept in buckets named after the day their messages
+// expire; the buckets whose day has passed no longer count
+const storedBytesFrom = (buckets, today) =>
+  Object.entries(buckets || {})
+    .filter(([day]) => day >= today)
+    .reduce((total, [, bytes]) => total + bytes, 0);
+
+module.exports = {
+  usageDay,
+  nextUsageDay,
+  messageSize,
+  storedBytesFrom,
+};
@@ -0,0 +1,219 @@
+jest.mock("../src/config/redis.config", () => ({
+  REDIS_URL: "redis://localhost:6379",
+  getRedisClient: jest.fn(),
+  onRedisReady: jest.fn(),
+  createRedisSubscriber: jest.fn(),
+}));
+jest.mock("../src/repositories/MessageRepository", () => ({}));
+jest.mock("../src/services/MessageOutbox", () => jest.fn());
+
+const EventEmitter = require("events");
+
+// The service's batch and cleanup timers would keep Jest running
+jest.useFakeTimers({ doNotFake: ["Date"] });
+
+const {
+  getRedisClient,
+  createRedisSubscriber,
+} = require("../src/config/redis.config");
+const clusterBus = require("../src/services/ClusterBus");
+const messageService = require("../src/services/MessageService");
+
+const ClusterBus = clusterBus.constructor;
+const CHANNEL = "secure-messaging:bus";
+
+describe("Cluster Bus", () => {
+  const processSend = process.send;
+  let ipcListeners;
+
+  const redisPublisher = () => ({
+    isReady: true,
+    publish: jest.fn().mockResolvedValue(1),
+  });
+
+  const redisSubscriber = () => ({
+    subscribe: jest.fn().mockResolvedValue(),
+  });
+
+  // A publication from another worker, as it arrives from the master
+  const fromWorker = (kind, payload) => ({
+    type: "bus:message",
+    envelope: { kind, payload, origin: "other-worker" },
+  });
+
+  const connectedClient = (username) => {
+    const send = jest.fn();
+    messageService.addStreamClient(`client-${username}`, {
+      username,
+      transport: "websocket",
+      send,
+    });
+    return send;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ipcListeners = process.listeners("message");
+    process.send = jest.fn();
+  });
+
+  afterEach(() => {
+    for (const listener of process.listeners("message")) {
+      if (!ipcListeners.includes(listener)) {
+        process.removeListener("message", listener);
+      }
+    }
+    process.send = processSend;
+    messageService.removeClient("client-bob");
+  });
+
+  describe("over IPC", () => {
+    beforeEach(() => {
+      getRedisClient.mockRejectedValue(new Error("Redis is not connected"));
+    });
+
+    test("should send publications to the cluster master", async () => {
+      const bus = new ClusterBus();
+      await bus.init();
+
+      bus.publish("sent", { messageId: "m1", username: "bob" });
+
+      expect(bus.mode).toBe("ipc");
+      expect(process.send).toHaveBeenCalledWith({
+        type: "bus:publish",
+        envelope: {
+          kind: "sent",
+          payload: { messageId: "m1", username: "bob" },
+          origin: bus.instanceId,
+        },
+      });
+    });
+
+    test("should have the master relay to every other connected worker", () => {
+      const cluster = new EventEmitter();
+      const worker = (connected = true) => ({
+        send: jest.fn(),
+        isConnected: () => connected,
+      });
+      cluster.workers = { 1: worker(), 2: worker(), 3: worker(false) };
+      new ClusterBus().relay(cluster);
+
+      const envelope = { kind: "sent", payload: {}, origin: "worker-1" };
+      cluster.emit("message", cluster.workers[1], {
+        type: "bus:publish",
+        envelope,
+      });
+
+      expect(cluster.workers[1].send).not.toHaveBeenCalled();
+      expect(cluster.workers[2].send).toHaveBeenCalledWith({
+        type: "bus:message",
+        envelope,
+      });
+      expect(cluster.workers[3].send).not.toHaveBeenCalled();
+    });
+
+    test("should deliver relayed events to this worker's clients", async () => {
+      await clusterBus.init();
+      const send = connectedClient("bob");
+      const payload = { type: "typing", data: { from: "alice" } };
+
+      process.emit(
+        "message",
+        fromWorker("event", { usernames: ["bob"], payload, eventId: null })
+      );
+
+      expect(send).toHaveBeenCalledWith(payload);
+    });
+  });
+
+  describe("over Redis", () => {
+    test("should publish to the shared channel and skip its own echo", async () => {
+      const publisher = redisPublisher();
+      const subscriber = redisSubscriber();
+      getRedisClient.mockResolvedValue(publisher);
+      createRedisSubscriber.mockResolvedValue(subscriber);
+      const bus = new ClusterBus();
+      const received = jest.fn();
+      bus.on("sent", received);
+      await bus.init();
+
+      bus.publish("sent", { messageId: "m1", username: "bob" });
+
+      expect(bus.mode).toBe("redis");
+      expect(process.send).not.toHaveBeenCalled();
+      const [channel, raw] = publisher.publish.mock.calls[0];
+      expect(channel).toBe(CHANNEL);
+
+      const [subscribed, onMessage] = subscriber.subscribe.mock.calls[0];
+      expect(subscribed).toBe(CHANNEL);
+      onMessage(raw);
+      expect(received).not.toHaveBeenCalled();
+
+      onMessage(
+        JSON.stringify(fromWorker("sent", { messageId: "m2" }).envelope)
+      );
+      expect(received).toHaveBeenCalledWith({ messageId: "m2" });
+    });
+
+    test("should deliver events from other nodes to this worker's clients", async () => {
+      const subscriber = redisSubscriber();
+      getRedisClient.mockResolvedValue(redisPublisher());
+      createRedisSubscriber.mockResolvedValue(subscriber);
+      await clusterBus.init();
+      const send = connectedClient("bob");
+      const payload = { type: "typing", data: { from: "alice" } };
+
+      const onMessage = subscriber.subscribe.mock.calls[0][1];
+      onMessage(
+        JSON.stringify(
+          fromWorker("event", { usernames: ["bob"], payload, eventId: null })
+            .envelope
+        )
+      );
+
+      expect(send).toHaveBeenCalledWith(payload);
+    });
+  });
+
+  describe("with Redis down", () => {
+    test("should fall back to IPC when Redis is unreachable at startup", async () => {
+      getRedisClient.mockRejectedValue(new Error("Redis is not connected"));
+      const bus = new ClusterBus();
+      await bus.init();
+
+      bus.publish("sent", { messageId: "m1", username: "bob" });
+
+      expect(bus.mode).toBe("ipc");
+      expect(process.send).toHaveBeenCalled();
+    });
+
+    test("should keep workers in touch over IPC while Redis is disconnected", async () => {
+      const publisher = redisPublisher();
+      getRedisClient.mockResolvedValue(publisher);
+      createRedisSubscriber.mockResolvedValue(redisSubscriber());
+      const bus = new ClusterBus();
+      const received = jest.fn();
+      bus.on("sent", received);
+      await bus.init();
+
+      publisher.isReady = false;
+      bus.publish("sent", { messageId: "m1", username: "bob" });
+
+      expect(publisher.publish).not.toHaveBeenCalled();
+      expect(process.send.mock.calls[0][0].type).toBe("bus:publish");
+
+      process.emit("message", fromWorker("sent", { messageId: "m2" }));
+      expect(received).toHaveBeenCalledWith({ messageId: "m2" });
+    });
+
+    test("should stay local outside a cluster", async () => {
+      process.send = undefined;
+      getRedisClient.mockRejectedValue(new Error("Redis is not connected"));
+      const bus = new ClusterBus();
+      await bus.init();
+
+      expect(() => bus.publish("sent", {})).not.toThrow();
+      expect(bus.mode).toBe("local");
+    });
+  });
+});
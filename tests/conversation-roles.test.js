@@ -0,0 +1,182 @@
+jest.mock("../src/repositories/ConversationRepository", () => ({
+  findForMember: jest.fn(),
+  addMembers: jest.fn(),
+  removeMember: jest.fn(),
+  updateMemberRole: jest.fn(),
+  transferOwnership: jest.fn(),
+  updateSettings: jest.fn(),
+}));
+jest.mock("../src/repositories/MessageRepository", () => ({
+  findExistingUsernames: jest.fn(),
+}));
+
+const conversationRepository = require("../src/repositories/ConversationRepository");
+const messageRepository = require("../src/repositories/MessageRepository");
+const conversationController = require("../src/controllers/ConversationController");
+
+describe("Conversation Roles", () => {
+  const conversationId = "64b000000000000000000001";
+
+  const group = {
+    _id: conversationId,
+    type: "group",
+    members: [
+      { username: "olivia", role: "owner" },
+      { username: "adam", role: "admin" },
+      { username: "mia", role: "member" },
+      { username: "max", role: "member" },
+    ],
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const request = (username, params = {}, body = {}) => ({
+    user: { username },
+    params: { conversationId, ...params },
+    body,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    conversationRepository.findForMember.mockResolvedValue(group);
+    messageRepository.findExistingUsernames.mockImplementation((usernames) =>
+      Promise.resolve(usernames)
+    );
+    for (const method of [
+      "addMembers",
+      "removeMember",
+      "updateMemberRole",
+      "transferOwnership",
+      "updateSettings",
+    ]) {
+      conversationRepository[method].mockResolvedValue(group);
+    }
+  });
+
+  test("should only let owners and admins add members", async () => {
+    const denied = mockResponse();
+    await conversationController.addMembers(
+      request("mia", {}, { members: ["zoe"] }),
+      denied
+    );
+    expect(denied.status).toHaveBeenCalledWith(403);
+
+    const allowed = mockResponse();
+    await conversationController.addMembers(
+      request("adam", {}, { members: ["zoe"] }),
+      allowed
+    );
+    expect(allowed.status).toHaveBeenCalledWith(200);
+    expect(conversationRepository.addMembers).toHaveBeenCalledWith(
+      conversationId,
+      ["zoe"],
+      "member"
+    );
+  });
+
+  test("should only let the owner add admins", async () => {
+    const denied = mockResponse();
+    await conversationController.addMembers(
+      request("adam", {}, { members: ["zoe"], role: "admin" }),
+      denied
+    );
+    expect(denied.status).toHaveBeenCalledWith(403);
+
+    const allowed = mockResponse();
+    await conversationController.addMembers(
+      request("olivia", {}, { members: ["zoe"], role: "admin" }),
+      allowed
+    );
+    expect(allowed.status).toHaveBeenCalledWith(200);
+  });
+
+  test("should let admins remove plain members but not other admins", async () => {
+    const allowed = mockResponse();
+    await conversationController.removeMember(
+      request("adam", { username: "mia" }),
+      allowed
+    );
+    expect(allowed.status).toHaveBeenCalledWith(200);
+
+    const denied = mockResponse();
+    await conversationController.removeMember(
+      request("adam", { username: "olivia" }),
+      denied
+    );
+    expect(denied.status).toHaveBeenCalledWith(403);
+  });
+
+  test("should let any member leave", async () => {
+    const res = mockResponse();
+    await conversationController.removeMember(
+      request("max", { username: "max" }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(conversationRepository.removeMember).toHaveBeenCalledWith(
+      conversationId,
+      "max"
+    );
+  });
+
+  test("should only let the owner change roles", async () => {
+    const res = mockResponse();
+    await conversationController.updateMemberRole(
+      request("adam", { username: "mia" }, { role: "admin" }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(conversationRepository.updateMemberRole).not.toHaveBeenCalled();
+  });
+
+  test("should transfer ownership in a single update", async () => {
+    const res = mockResponse();
+    await conversationController.updateMemberRole(
+      request("olivia", { username: "adam" }, { role: "owner" }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(conversationRepository.transferOwnership).toHaveBeenCalledWith(
+      conversationId,
+      "olivia",
+      "adam"
+    );
+    expect(conversationRepository.updateMemberRole).not.toHaveBeenCalled();
+  });
+
+  test("should report a transfer that lost a race", async () => {
+    conversationRepository.transferOwnership.mockResolvedValue(null);
+
+    const res = mockResponse();
+    await conversationController.updateMemberRole(
+      request("olivia", { username: "adam" }, { role: "owner" }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  test("should keep group timers to owners and admins", async () => {
+    const denied = mockResponse();
+    await conversationController.updateSettings(
+      request("mia", {}, { messageTtlSeconds: 3600 }),
+      denied
+    );
+    expect(denied.status).toHaveBeenCalledWith(403);
+
+    const allowed = mockResponse();
+    await conversationController.updateSettings(
+      request("adam", {}, { messageTtlSeconds: 3600 }),
+      allowed
+    );
+    expect(allowed.status).toHaveBeenCalledWith(200);
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  isAfterCursor,
+  compareByCursor,
+} = require("../src/utils/cursor");
+
+describe("Message Cursors", () => {
+  const message = {
+    _id: new mongoose.Types.ObjectId("65f1c2a9e4b0a1b2c3d4e5f6"),
+    timestamp: new Date("2024-03-13T10:00:00.000Z"),
+  };
+
+  test("should round-trip a message position", () => {
+    const cursor = encodeCursor(message);
+
+    // Opaque to clients
+    expect(cursor).not.toContain(message._id.toString());
+
+    const decoded = decodeCursor(cursor);
+    expect(decoded.timestamp.getTime()).toBe(message.timestamp.getTime());
+    expect(decoded.id.toString()).toBe(message._id.toString());
+  });
+
+  test("should reject malformed cursors", () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor("")).toBeNull();
+    expect(decodeCursor("not-a-cursor")).toBeNull();
+    expect(
+      decodeCursor(
+        Buffer.from("abc:65f1c2a9e4b0a1b2c3d4e5f6").toString("base64url")
+      )
+    ).toBeNull();
+  });
+
+  test("should build range filters on timestamp and id", () => {
+    const decoded = decodeCursor(encodeCursor(message));
+
+    expect(cursorFilter(decoded, "before")).toEqual({
+      $or: [
+        { timestamp: { $lt: decoded.timestamp } },
+        { timestamp: decoded.timestamp, _id: { $lt: decoded.id } },
+      ],
+    });
+    expect(cursorFilter(decoded, "after").$or[0]).toEqual({
+      timestamp: { $gt: decoded.timestamp },
+    });
+  });
+
+  test("should order messages with the same timestamp by id", () => {
+    const cursor = decodeCursor(encodeCursor(message));
+
+    const sameTimeLaterId = {
+      _id: new mongoose.Types.ObjectId("65f1c2a9e4b0a1b2c3d4e5f7"),
+      timestamp: message.timestamp,
+    };
+    const sameTimeEarlierId = {
+      _id: new mongoose.Types.ObjectId("65f1c2a9e4b0a1b2c3d4e5f5"),
+      timestamp: message.timestamp,
+    };
+    const later = {
+      _id: new mongoose.Types.ObjectId("65f1c2a9e4b0a1b2c3d4e5f0"),
+      timestamp: new Date("2024-03-13T10:00:01.000Z"),
+    };
+
+    expect(isAfterCursor(sameTimeLaterId, cursor)).toBe(true);
+    expect(isAfterCursor(sameTimeEarlierId, cursor)).toBe(false);
+    expect(isAfterCursor(message, cursor)).toBe(false);
+    expect(isAfterCursor(later, cursor)).toBe(true);
+
+    const sorted = [later, sameTimeLaterId, message, sameTimeEarlierId].sort(
+      compareByCursor
+    );
+    expect(sorted).toEqual([
+      sameTimeEarlierId,
+      message,
+      sameTimeLaterId,
+      later,
+    ]);
+  });
+
+  test("should compare relayed messages with string ids and dates", () => {
+    // Messages relayed from other workers arrive JSON-serialised
+    const relayed = {
+      _id: "65f1c2a9e4b0a1b2c3d4e5f7",
+      timestamp: "2024-03-13T10:00:00.000Z",
+    };
+
+    expect(isAfterCursor(relayed, decodeCursor(encodeCursor(message)))).toBe(
+      true
+    );
+    expect(decodeCursor(encodeCursor(relayed)).id.toString()).toBe(relayed._id);
+  });
+});
@@ -0,0 +1,46 @@
+const {
+  MIN_TTL_SECONDS,
+  RETENTION_SECONDS,
+  isValidTtl,
+  expiresAtFor,
+  isExpired,
+} = require("../src/utils/expiry");
+
+describe("Message Expiry", () => {
+  const sentAt = new Date("2024-03-13T10:00:00.000Z");
+
+  test("should accept timers from seconds up to the retention period", () => {
+    expect(isValidTtl(MIN_TTL_SECONDS)).toBe(true);
+    expect(isValidTtl(3600)).toBe(true);
+    expect(isValidTtl(RETENTION_SECONDS)).toBe(true);
+
+    expect(isValidTtl(MIN_TTL_SECONDS - 1)).toBe(false);
+    expect(isValidTtl(RETENTION_SECONDS + 1)).toBe(false);
+    expect(isValidTtl(60.5)).toBe(false);
+    expect(isValidTtl("60")).toBe(false);
+  });
+
+  test("should expire timed messages after their timer", () => {
+    expect(expiresAtFor({ ttlSeconds: 60 }, sentAt)).toEqual(
+      new Date("2024-03-13T10:01:00.000Z")
+    );
+  });
+
+  test("should keep untimed and unread messages for the retention period", () => {
+    const retained = new Date(sentAt.getTime() + RETENTION_SECONDS * 1000);
+
+    expect(expiresAtFor({}, sentAt)).toEqual(retained);
+    expect(
+      expiresAtFor({ ttlSeconds: 60, expireAfterRead: true }, sentAt)
+    ).toEqual(retained);
+  });
+
+  test("should tell expired messages apart", () => {
+    const now = sentAt.getTime();
+
+    expect(isExpired({ expiresAt: new Date(now - 1) }, now)).toBe(true);
+    expect(isExpired({ expiresAt: new Date(now) }, now)).toBe(true);
+    expect(isExpired({ expiresAt: new Date(now + 1) }, now)).toBe(false);
+    expect(isExpired({}, now)).toBe(false);
+  });
+});
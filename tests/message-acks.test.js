@@ -0,0 +1,175 @@
+jest.mock("../src/repositories/MessageRepository", () => ({
+  markDelivered: jest.fn(),
+  findViewOnce: jest.fn(),
+}));
+jest.mock("../src/services/ClusterBus", () => {
+  const EventEmitter = require("events");
+  const bus = new EventEmitter();
+  bus.publish = jest.fn();
+  return bus;
+});
+jest.mock("../src/services/MessageOutbox", () => jest.fn());
+
+const mongoose = require("mongoose");
+
+// The service's batch and cleanup timers would keep Jest running
+jest.useFakeTimers({ doNotFake: ["Date"] });
+
+const messageRepository = require("../src/repositories/MessageRepository");
+const clusterBus = require("../src/services/ClusterBus");
+const messageService = require("../src/services/MessageService");
+
+describe("Message Acknowledgements", () => {
+  const queuedMessage = (recipients) => ({
+    _id: new mongoose.Types.ObjectId(),
+    sender: "alice",
+    recipients,
+    timestamp: new Date(),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageService.messageQueue = [];
+    messageService.messageBatch = [];
+    messageService.messageDeliveryTracker.clear();
+    messageRepository.markDelivered.mockResolvedValue([]);
+    messageRepository.findViewOnce.mockResolvedValue([]);
+  });
+
+  test("should track and announce acks for received messages", async () => {
+    const message = queuedMessage(["bob"]);
+    messageService.messageQueue.push(message);
+    const messageId = message._id.toString();
+
+    await messageService.acknowledgeMessages([messageId], "bob");
+
+    expect(
+      messageService.messageDeliveryTracker
+        .get(messageId)
+        .deliveredTo.has("bob")
+    ).toBe(true);
+    expect(clusterBus.publish).toHaveBeenCalledWith("delivered", {
+      messageId,
+      username: "bob",
+    });
+    expect(clusterBus.publish).toHaveBeenCalledWith("event", expect.anything());
+  });
+
+  test("should ignore acks for messages the caller did not receive", async () => {
+    const message = queuedMessage(["bob"]);
+    messageService.messageBatch.push(message);
+
+    await messageService.acknowledgeMessages(
+      [message._id.toString(), new mongoose.Types.ObjectId().toString()],
+      "mallory"
+    );
+
+    expect(messageService.messageDeliveryTracker.size).toBe(0);
+    expect(clusterBus.publish).not.toHaveBeenCalled();
+  });
+
+  test("should track stored messages that had a receipt for the caller", async () => {
+    const messageId = new mongoose.Types.ObjectId();
+    messageRepository.markDelivered.mockResolvedValue([
+      { messageId, sender: "alice" },
+    ]);
+
+    await messageService.acknowledgeMessages([messageId.toString()], "bob");
+
+    expect(clusterBus.publish).toHaveBeenCalledWith("delivered", {
+      messageId: messageId.toString(),
+      username: "bob",
+    });
+  });
+});
+
+describe("Stream Sessions", () => {
+  test("should close only the streams of revoked sessions", () => {
+    const revoked = jest.fn();
+    const other = jest.fn();
+    messageService.addStreamClient("client-1", {
+      username: "bob",
+      transport: "sse",
+      send: jest.fn(),
+      sessionId: "session-1",
+      close: revoked,
+    });
+    messageService.addStreamClient("client-2", {
+      username: "bob",
+      transport: "sse",
+      send: jest.fn(),
+      sessionId: "session-2",
+      close: other,
+    });
+
+    messageService.closeSessionStreams(["session-1"]);
+
+    expect(revoked).toHaveBeenCalled();
+    expect(other).not.toHaveBeenCalled();
+
+    messageService.removeClient("client-1");
+    messageService.removeClient("client-2");
+  });
+});
+
+describe("Redelivery", () => {
+  const message = {
+    _id: new mongoose.Types.ObjectId(),
+    sender: "alice",
+    recipients: ["bob", "carol"],
+    timestamp: new Date(),
+  };
+  const messageId = message._id.toString();
+
+  beforeEach(() => {
+    messageService.messageQueue = [message];
+    messageService.messageDeliveryTracker.clear();
+  });
+
+  afterEach(() => {
+    messageService.removeClient("client-bob");
+    messageService.removeClient("client-carol");
+  });
+
+  test("should push unacknowledged messages to streams again after the ack timeout", () => {
+    const bob = jest.fn();
+    const carol = jest.fn();
+    messageService.addStreamClient("client-bob", {
+      username: "bob",
+      transport: "websocket",
+      send: bob,
+    });
+    messageService.addStreamClient("client-carol", {
+      username: "carol",
+      transport: "websocket",
+      send: carol,
+    });
+    const sentAt = Date.now() - messageService.ACK_TIMEOUT - 1;
+    const tracker = messageService.getTracker(messageId);
+    tracker.sentTo.set("bob", sentAt);
+    tracker.sentTo.set("carol", sentAt);
+    messageService.trackDelivery(messageId, "carol");
+
+    const now = Date.now();
+    messageService.redeliverUnacked(now);
+
+    expect(bob).toHaveBeenCalledTimes(1);
+    expect(bob.mock.calls[0][0].type).toBe("message");
+    expect(carol).not.toHaveBeenCalled();
+    expect(tracker.sentTo.get("bob")).toBe(now);
+  });
+
+  test("should wait for the ack timeout before pushing again", () => {
+    const bob = jest.fn();
+    messageService.addStreamClient("client-bob", {
+      username: "bob",
+      transport: "websocket",
+      send: bob,
+    });
+    messageService.trackSent(messageId, "bob");
+
+    messageService.redeliverUnacked(Date.now());
+
+    expect(bob).not.toHaveBeenCalled();
+  });
+});
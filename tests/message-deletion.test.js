@@ -0,0 +1,179 @@
+jest.mock("../src/models/Message", () => ({
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({
+  updateMany: jest.fn(),
+}));
+jest.mock("../src/repositories/MessageRepository", () => ({
+  hideMessage: jest.fn(),
+  getMessageById: jest.fn(),
+  deleteForEveryone: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({}));
+jest.mock("../src/services/MessageService", () => ({
+  ensurePersisted: jest.fn(),
+  applyHide: jest.fn(),
+  applyDelete: jest.fn(),
+  publishEvent: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Message = require("../src/models/Message");
+const MessageReceipt = require("../src/models/MessageReceipt");
+const messageRepository = require("../src/repositories/MessageRepository");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+
+describe("Message Deletion", () => {
+  const messageId = new mongoose.Types.ObjectId().toString();
+
+  const message = {
+    _id: messageId,
+    sender: "alice",
+    recipients: ["bob"],
+    conversationId: null,
+    deleted: false,
+  };
+
+  const remove = (username, mode) => ({
+    params: { messageId },
+    query: mode ? { mode } : {},
+    body: {},
+    user: { username },
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageService.ensurePersisted.mockResolvedValue(0);
+    messageRepository.getMessageById.mockResolvedValue(message);
+  });
+
+  test("should hide a message only for the caller by default", async () => {
+    messageRepository.hideMessage.mockResolvedValue({ _id: messageId });
+
+    const res = mockResponse();
+    await messageController.deleteMessage(remove("bob"), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(messageRepository.hideMessage).toHaveBeenCalledWith(
+      messageId,
+      "bob"
+    );
+    expect(messageService.applyHide).toHaveBeenCalledWith(messageId, "bob");
+    expect(messageRepository.deleteForEveryone).not.toHaveBeenCalled();
+  });
+
+  test("should reject unknown delete modes", async () => {
+    const res = mockResponse();
+    await messageController.deleteMessage(remove("bob", "all"), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test("should only let the sender delete for everyone", async () => {
+    const res = mockResponse();
+    await messageController.deleteMessage(remove("bob", "everyone"), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(messageRepository.deleteForEveryone).not.toHaveBeenCalled();
+  });
+
+  test("should limit delete for everyone to 48 hours", async () => {
+    messageRepository.deleteForEveryone.mockResolvedValue(null);
+
+    const before = Date.now();
+    const res = mockResponse();
+    await messageController.deleteMessage(remove("alice", "everyone"), res);
+
+    const [, , notBefore] = messageRepository.deleteForEveryone.mock.calls[0];
+    const window = 48 * 60 * 60 * 1000;
+    expect(before - notBefore.getTime()).toBeGreaterThanOrEqual(window - 1000);
+    expect(before - notBefore.getTime()).toBeLessThanOrEqual(window + 1000);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(messageService.applyDelete).not.toHaveBeenCalled();
+  });
+
+  test("should tell everyone once a message is deleted for everyone", async () => {
+    const deletedAt = new Date();
+    messageRepository.deleteForEveryone.mockResolvedValue({
+      _id: messageId,
+      recipients: ["bob"],
+      conversationId: null,
+      deletedAt,
+    });
+
+    const res = mockResponse();
+    await messageController.deleteMessage(remove("alice", "everyone"), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(messageService.applyDelete).toHaveBeenCalledWith(messageId);
+    expect(messageService.publishEvent).toHaveBeenCalledWith(
+      ["bob", "alice"],
+      {
+        type: "message-deleted",
+        data: { messageId, conversationId: null, deletedAt },
+      },
+      { queue: true }
+    );
+  });
+
+  test("should not delete a message twice", async () => {
+    messageRepository.getMessageById.mockResolvedValue({
+      ...message,
+      deleted: true,
+    });
+
+    const res = mockResponse();
+    await messageController.deleteMessage(remove("alice", "everyone"), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  describe("repository", () => {
+    const repository = jest.requireActual(
+      "../src/repositories/MessageRepository"
+    );
+
+    test("should leave a tombstone and hide every receipt", async () => {
+      const notBefore = new Date();
+      const stored = { _id: messageId, recipients: ["bob"] };
+      Message.findOneAndUpdate.mockReturnValue({
+        lean: () => ({ exec: () => Promise.resolve(stored) }),
+      });
+      MessageReceipt.updateMany.mockReturnValue({
+        exec: () => Promise.resolve(),
+      });
+
+      await repository.deleteForEveryone(messageId, "alice", notBefore);
+
+      const [filter, update] = Message.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({
+        _id: messageId,
+        sender: "alice",
+        timestamp: { $gte: notBefore },
+      });
+      expect(update.$set).toMatchObject({
+        deleted: true,
+        recipientKeys: {},
+        versions: [],
+      });
+      expect(update.$unset).toMatchObject({ encryptedContent: "", iv: "" });
+      expect(MessageReceipt.updateMany).toHaveBeenCalledWith(
+        { messageId, hiddenAt: null },
+        { $set: { hiddenAt: expect.any(Date) } }
+      );
+    });
+  });
+});
@@ -0,0 +1,217 @@
+jest.mock("../src/models/Message", () => ({
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({}));
+jest.mock("../src/repositories/MessageRepository", () => ({
+  getMessageById: jest.fn(),
+  editMessage: jest.fn(),
+  getMessageVersions: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({}));
+jest.mock("../src/services/MessageService", () => ({
+  ensurePersisted: jest.fn(),
+  applyChanges: jest.fn(),
+  publishEvent: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Message = require("../src/models/Message");
+const messageRepository = require("../src/repositories/MessageRepository");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+
+describe("Message Edits", () => {
+  const messageId = new mongoose.Types.ObjectId().toString();
+
+  const original = {
+    _id: messageId,
+    sender: "alice",
+    recipients: ["bob", "carol"],
+    conversationId: null,
+    deleted: false,
+    viewOnce: false,
+  };
+
+  const edit = (username, body) => ({
+    params: { messageId },
+    user: { username },
+    body: {
+      encryptedContent: "new-ciphertext",
+      iv: "new-iv",
+      recipientKeys: { bob: "bob-key", carol: "carol-key" },
+      ...body,
+    },
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageService.ensurePersisted.mockResolvedValue(0);
+    messageRepository.getMessageById.mockResolvedValue(original);
+    messageRepository.editMessage.mockResolvedValue({
+      editedAt: new Date("2024-03-13T10:00:00.000Z"),
+    });
+  });
+
+  test("should only let the sender edit", async () => {
+    const res = mockResponse();
+    await messageController.editMessage(edit("bob"), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(messageRepository.editMessage).not.toHaveBeenCalled();
+  });
+
+  test("should refuse to edit deleted and view-once messages", async () => {
+    for (const state of [{ deleted: true }, { viewOnce: true }]) {
+      messageRepository.getMessageById.mockResolvedValue({
+        ...original,
+        ...state,
+      });
+
+      const res = mockResponse();
+      await messageController.editMessage(edit("alice"), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    }
+    expect(messageRepository.editMessage).not.toHaveBeenCalled();
+  });
+
+  test("should require a new key envelope for every recipient", async () => {
+    const res = mockResponse();
+    await messageController.editMessage(
+      edit("alice", { recipientKeys: { bob: "bob-key" } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Missing recipient keys",
+      recipients: ["carol"],
+    });
+  });
+
+  test("should store the edit and tell everyone in the chat", async () => {
+    const res = mockResponse();
+    await messageController.editMessage(
+      edit("alice", {
+        recipientKeys: {
+          bob: "bob-key",
+          carol: "carol-key",
+          alice: "alice-key",
+          mallory: "mallory-key",
+        },
+      }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    // Envelopes for people outside the message are dropped
+    const keys = { bob: "bob-key", carol: "carol-key", alice: "alice-key" };
+    expect(messageRepository.editMessage).toHaveBeenCalledWith(
+      messageId,
+      "alice",
+      expect.objectContaining({ recipientKeys: keys })
+    );
+    expect(messageService.publishEvent).toHaveBeenCalledWith(
+      ["bob", "carol", "alice"],
+      expect.objectContaining({ type: "message-edited" }),
+      { queue: true }
+    );
+  });
+
+  test("should return the current ciphertext alongside earlier versions", async () => {
+    const timestamp = new Date("2024-03-13T09:00:00.000Z");
+    const editedAt = new Date("2024-03-13T10:00:00.000Z");
+    const versions = [
+      {
+        encryptedContent: "v1",
+        iv: "iv1",
+        recipientKeys: {},
+        createdAt: timestamp,
+      },
+    ];
+    messageRepository.getMessageVersions.mockResolvedValue({
+      _id: messageId,
+      encryptedContent: "v2",
+      iv: "iv2",
+      recipientKeys: { bob: "bob-key" },
+      timestamp,
+      editedAt,
+      versions,
+    });
+
+    const res = mockResponse();
+    await messageController.getMessageVersions(
+      { params: { messageId }, user: { username: "bob" } },
+      res
+    );
+
+    expect(res.json).toHaveBeenCalledWith({
+      messageId,
+      current: {
+        encryptedContent: "v2",
+        iv: "iv2",
+        recipientKeys: { bob: "bob-key" },
+        createdAt: editedAt,
+      },
+      versions,
+    });
+  });
+
+  describe("repository", () => {
+    const repository = jest.requireActual(
+      "../src/repositories/MessageRepository"
+    );
+
+    beforeEach(() => {
+      Message.findOneAndUpdate.mockReturnValue({
+        lean: () => ({ exec: () => Promise.resolve(null) }),
+      });
+    });
+
+    test("should only edit live messages of the sender", async () => {
+      await repository.editMessage(messageId, "alice", {
+        encryptedContent: "c",
+        iv: "i",
+        recipientKeys: {},
+      });
+
+      const [filter] = Message.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({
+        _id: messageId,
+        sender: "alice",
+        deleted: { $ne: true },
+      });
+    });
+
+    test("should file the current ciphertext as a capped version", async () => {
+      await repository.editMessage(messageId, "alice", {
+        encryptedContent: "c",
+        iv: "i",
+        recipientKeys: {},
+      });
+
+      const [, [stage]] = Message.findOneAndUpdate.mock.calls[0];
+      const [history, limit] = stage.$set.versions.$slice;
+
+      expect(limit).toBe(-50);
+      expect(history.$concatArrays[1][0]).toMatchObject({
+        encryptedContent: "$encryptedContent",
+        iv: "$iv",
+        recipientKeys: "$recipientKeys",
+      });
+      expect(stage.$set.encryptedContent).toEqual({ $literal: "c" });
+    });
+  });
+});
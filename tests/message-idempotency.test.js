@@ -0,0 +1,239 @@
+jest.mock("../src/repositories/MessageRepository", () => ({
+  createMessageId: jest.fn(),
+  findExistingUsernames: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({
+  findOrCreateDirect: jest.fn(),
+  touch: jest.fn(),
+}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({
+  reserve: jest.fn(),
+  complete: jest.fn(),
+  release: jest.fn(),
+}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({
+  extendExpiry: jest.fn(),
+}));
+jest.mock("../src/repositories/UsageRepository", () => ({
+  getUsage: jest.fn(),
+  recordMessage: jest.fn(),
+}));
+jest.mock("../src/services/MessageService", () => ({
+  addToMessageBatch: jest.fn(),
+  broadcastMessage: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const messageRepository = require("../src/repositories/MessageRepository");
+const conversationRepository = require("../src/repositories/ConversationRepository");
+const idempotencyRepository = require("../src/repositories/IdempotencyRepository");
+const attachmentRepository = require("../src/repositories/AttachmentRepository");
+const usageRepository = require("../src/repositories/UsageRepository");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+
+describe("Idempotent Sends", () => {
+  const messageId = new mongoose.Types.ObjectId();
+  const conversationId = new mongoose.Types.ObjectId();
+
+  const send = (body = {}) => ({
+    get: (header) => (header === "Idempotency-Key" ? "key-1" : undefined),
+    body: {
+      encryptedContent: "ciphertext",
+      iv: "iv",
+      recipients: ["bob"],
+      recipientKeys: { bob: "key" },
+      ...body,
+    },
+    user: { username: "alice" },
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    res.set = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageRepository.createMessageId.mockResolvedValue(messageId);
+    messageRepository.findExistingUsernames.mockResolvedValue(["bob"]);
+    conversationRepository.findOrCreateDirect.mockResolvedValue({
+      _id: conversationId,
+    });
+    conversationRepository.touch.mockResolvedValue();
+    idempotencyRepository.reserve.mockResolvedValue(null);
+    idempotencyRepository.complete.mockResolvedValue();
+    idempotencyRepository.release.mockResolvedValue();
+    usageRepository.getUsage.mockResolvedValue({
+      messagesToday: 0,
+      storedBytes: 0,
+      resetsAt: new Date(Date.now() + 3600000),
+    });
+    usageRepository.recordMessage.mockResolvedValue();
+    messageService.addToMessageBatch.mockResolvedValue();
+  });
+
+  test("should store the response of an accepted send under its key", async () => {
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(idempotencyRepository.reserve).toHaveBeenCalledWith(
+      "alice",
+      "key-1",
+      messageId
+    );
+    expect(idempotencyRepository.complete).toHaveBeenCalledWith(
+      "alice",
+      "key-1",
+      messageId,
+      201,
+      res.json.mock.calls[0][0]
+    );
+  });
+
+  test("should replay a stored response without touching anything else", async () => {
+    const response = { message: "Message sent successfully", messageId };
+    idempotencyRepository.reserve.mockResolvedValue({
+      messageId,
+      status: 201,
+      response,
+    });
+
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.set).toHaveBeenCalledWith("Idempotent-Replayed", "true");
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(response);
+    expect(messageRepository.findExistingUsernames).not.toHaveBeenCalled();
+    expect(conversationRepository.findOrCreateDirect).not.toHaveBeenCalled();
+    expect(attachmentRepository.extendExpiry).not.toHaveBeenCalled();
+    expect(messageService.addToMessageBatch).not.toHaveBeenCalled();
+  });
+
+  test("should answer 409 while the first attempt is still running", async () => {
+    const firstId = new mongoose.Types.ObjectId();
+    idempotencyRepository.reserve.mockResolvedValue({
+      messageId: firstId,
+      status: null,
+      response: null,
+    });
+
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].messageId).toBe(firstId);
+    expect(conversationRepository.findOrCreateDirect).not.toHaveBeenCalled();
+    expect(messageService.addToMessageBatch).not.toHaveBeenCalled();
+    expect(idempotencyRepository.release).not.toHaveBeenCalled();
+  });
+
+  test("should free the key when the send is turned down", async () => {
+    messageRepository.findExistingUsernames.mockResolvedValue([]);
+
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(idempotencyRepository.release).toHaveBeenCalledWith(
+      "alice",
+      "key-1"
+    );
+    expect(idempotencyRepository.complete).not.toHaveBeenCalled();
+  });
+
+  test("should free the key when the send fails", async () => {
+    messageService.addToMessageBatch.mockRejectedValue(new Error("full"));
+
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(idempotencyRepository.release).toHaveBeenCalledWith(
+      "alice",
+      "key-1"
+    );
+  });
+
+  test("should replay an accepted send after the quota is used up", async () => {
+    const response = { message: "Message sent successfully", messageId };
+    idempotencyRepository.reserve.mockResolvedValue({
+      messageId,
+      status: 201,
+      response,
+    });
+    usageRepository.getUsage.mockResolvedValue({
+      messagesToday: Infinity,
+      storedBytes: 0,
+      resetsAt: new Date(Date.now() + 3600000),
+    });
+
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(response);
+    expect(usageRepository.getUsage).not.toHaveBeenCalled();
+  });
+
+  test("should free the key when the quota turns the send down", async () => {
+    usageRepository.getUsage.mockResolvedValue({
+      messagesToday: Infinity,
+      storedBytes: 0,
+      resetsAt: new Date(Date.now() + 3600000),
+    });
+
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", expect.any(String));
+    expect(idempotencyRepository.release).toHaveBeenCalledWith(
+      "alice",
+      "key-1"
+    );
+    expect(usageRepository.recordMessage).not.toHaveBeenCalled();
+  });
+
+  test("should count usage only once the message is accepted", async () => {
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(usageRepository.recordMessage).toHaveBeenCalledWith(
+      "alice",
+      expect.any(Number),
+      expect.any(Date)
+    );
+    expect(
+      usageRepository.recordMessage.mock.invocationCallOrder[0]
+    ).toBeGreaterThan(
+      messageService.addToMessageBatch.mock.invocationCallOrder[0]
+    );
+  });
+
+  test("should not count a message the outbox failed to take", async () => {
+    messageService.addToMessageBatch.mockRejectedValue(new Error("full"));
+
+    const res = mockResponse();
+    await messageController.sendMessage(send(), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(usageRepository.recordMessage).not.toHaveBeenCalled();
+  });
+
+  test("should reject malformed keys before claiming anything", async () => {
+    const res = mockResponse();
+    await messageController.sendMessage(
+      { ...send(), get: () => "k".repeat(1000) },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(idempotencyRepository.reserve).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const MessageOutbox = require("../src/services/MessageOutbox");
+
+describe("Message Outbox", () => {
+  let directory;
+  let filePath;
+
+  const createMessage = (content) => ({
+    _id: new mongoose.Types.ObjectId(),
+    sender: "alice",
+    encryptedContent: content,
+    iv: "test-iv",
+    recipients: ["bob"],
+    recipientKeys: { bob: "bob-key" },
+    timestamp: new Date(),
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+    filePath = path.join(directory, "outbox-0.log");
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should replay messages that were never committed", async () => {
+    const outbox = new MessageOutbox(filePath);
+    const saved = createMessage("saved");
+    const unsaved = createMessage("unsaved");
+
+    await outbox.append(saved);
+    await outbox.append(unsaved);
+    await outbox.commit([saved._id.toString()]);
+    await outbox.close();
+
+    // Simulates the replacement worker after a crash
+    const recovered = await new MessageOutbox(filePath).recover();
+
+    expect(recovered).toHaveLength(1);
+    expect(recovered[0].encryptedContent).toBe("unsaved");
+    expect(recovered[0]._id).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(recovered[0]._id.toString()).toBe(unsaved._id.toString());
+    expect(recovered[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  test("should truncate the journal once everything is committed", async () => {
+    const outbox = new MessageOutbox(filePath);
+    const message = createMessage("hello");
+
+    await outbox.append(message);
+    expect(fs.statSync(filePath).size).toBeGreaterThan(0);
+
+    await outbox.commit([message._id.toString()]);
+    await outbox.close();
+
+    expect(fs.statSync(filePath).size).toBe(0);
+  });
+
+  test("should skip a torn record left by a crash mid-write", async () => {
+    const outbox = new MessageOutbox(filePath);
+    const message = createMessage("complete");
+
+    await outbox.append(message);
+    await outbox.close();
+    fs.appendFileSync(filePath, '{"op":"append","message":{"_id"');
+
+    const recovered = await new MessageOutbox(filePath).recover();
+
+    expect(recovered).toHaveLength(1);
+    expect(recovered[0].encryptedContent).toBe("complete");
+  });
+
+  test("should return nothing when there is no journal yet", async () => {
+    const recovered = await new MessageOutbox(filePath).recover();
+
+    expect(recovered).toEqual([]);
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock("../src/repositories/MessageRepository", () => ({
+  saveBulkMessages: jest.fn(),
+}));
+jest.mock("../src/services/ClusterBus", () => {
+  const EventEmitter = require("events");
+  const bus = new EventEmitter();
+  bus.publish = jest.fn();
+  return bus;
+});
+jest.mock("../src/services/MessageOutbox", () => jest.fn());
+
+const mongoose = require("mongoose");
+
+// The service's batch and cleanup timers would keep Jest running
+jest.useFakeTimers({ doNotFake: ["Date", "setImmediate"] });
+
+const messageRepository = require("../src/repositories/MessageRepository");
+const clusterBus = require("../src/services/ClusterBus");
+const messageService = require("../src/services/MessageService");
+
+describe("Message Persistence Across Workers", () => {
+  const createMessage = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    sender: "alice",
+    recipients: ["bob"],
+    timestamp: new Date(),
+  });
+
+  // What another worker's broadcast looks like after crossing the bus
+  const relay = (message) =>
+    clusterBus.emit("message", JSON.parse(JSON.stringify(message)));
+
+  const byId = (message) => (queued) =>
+    queued._id.toString() === message._id.toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageService.messageQueue = [];
+    messageService.messageBatch = [];
+    messageRepository.saveBulkMessages.mockResolvedValue();
+  });
+
+  test("should write this worker's batched messages right away", async () => {
+    const message = createMessage();
+    messageService.messageBatch.push(message);
+
+    await messageService.ensurePersisted(byId(message));
+
+    expect(messageRepository.saveBulkMessages).toHaveBeenCalledWith(
+      [message],
+      expect.any(Array)
+    );
+    expect(clusterBus.publish).toHaveBeenCalledWith("persisted", {
+      messageIds: [message._id.toString()],
+    });
+  });
+
+  test("should wait for the worker that accepted a relayed message", async () => {
+    const message = createMessage();
+    relay(message);
+
+    let settled = false;
+    const persisted = messageService
+      .ensurePersisted(byId(message))
+      .then(() => (settled = true));
+
+    expect(clusterBus.publish).toHaveBeenCalledWith("persist", {
+      messageIds: [message._id.toString()],
+    });
+
+    await Promise.resolve();
+    expect(settled).toBe(false);
+
+    clusterBus.emit("persisted", { messageIds: [message._id.toString()] });
+    await persisted;
+
+    // Once known to be stored, later lookups no longer wait
+    clusterBus.publish.mockClear();
+    await messageService.ensurePersisted(byId(message));
+    expect(clusterBus.publish).not.toHaveBeenCalled();
+  });
+
+  test("should give up waiting after PERSIST_WAIT_TIMEOUT", async () => {
+    const message = createMessage();
+    relay(message);
+
+    const persisted = messageService.ensurePersisted(byId(message));
+    jest.advanceTimersByTime(messageService.PERSIST_WAIT_TIMEOUT);
+
+    await expect(persisted).resolves.toBe(0);
+  });
+
+  test("should answer persist requests for messages it accepted", async () => {
+    const batched = createMessage();
+    const stored = createMessage();
+    messageService.messageBatch.push(batched);
+    messageService.messageQueue.push(batched, stored);
+
+    clusterBus.emit("persist", {
+      messageIds: [batched._id.toString(), stored._id.toString()],
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(messageRepository.saveBulkMessages).toHaveBeenCalledWith(
+      [batched],
+      expect.any(Array)
+    );
+    expect(clusterBus.publish).toHaveBeenCalledWith("persisted", {
+      messageIds: [batched._id.toString()],
+    });
+    expect(clusterBus.publish).toHaveBeenCalledWith("persisted", {
+      messageIds: [stored._id.toString()],
+    });
+  });
+
+  test("should not answer for messages relayed from elsewhere", async () => {
+    const message = createMessage();
+    relay(message);
+
+    clusterBus.emit("persist", { messageIds: [message._id.toString()] });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(clusterBus.publish).not.toHaveBeenCalledWith(
+      "persisted",
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,258 @@
+jest.mock("../src/models/Message", () => ({
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({}));
+jest.mock("../src/repositories/ConversationRepository", () => ({}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({}));
+jest.mock("../src/services/MessageService", () => ({
+  ensurePersisted: jest.fn(),
+  publishEvent: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Message = require("../src/models/Message");
+const messageRepository = require("../src/repositories/MessageRepository");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+const {
+  MAX_REACTIONS_PER_USER,
+  MAX_REACTION_LENGTH,
+} = require("../src/config/messaging.config");
+
+const query = (result) => {
+  const chain = {};
+  chain.lean = jest.fn().mockReturnValue(chain);
+  chain.exec = jest.fn().mockResolvedValue(result);
+  return chain;
+};
+
+describe("Message Reactions", () => {
+  const messageId = new mongoose.Types.ObjectId().toString();
+
+  const message = {
+    _id: messageId,
+    sender: "alice",
+    recipients: ["bob", "carol"],
+    conversationId: null,
+    deleted: false,
+  };
+
+  const react = (username, reaction) => ({
+    params: { messageId },
+    query: {},
+    body: { reaction },
+    user: { username },
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    messageService.ensurePersisted.mockResolvedValue(0);
+    jest.spyOn(messageRepository, "getMessageById").mockResolvedValue(message);
+  });
+
+  describe("validation", () => {
+    test("should accept short emoji codes", () => {
+      expect(messageController.isValidReaction(":thumbsup:")).toBe(true);
+      expect(messageController.isValidReaction("👍")).toBe(true);
+    });
+
+    test("should reject empty, long or spaced reactions", () => {
+      expect(messageController.isValidReaction("")).toBe(false);
+      expect(messageController.isValidReaction(42)).toBe(false);
+      expect(messageController.isValidReaction("a b")).toBe(false);
+      expect(
+        messageController.isValidReaction("a".repeat(MAX_REACTION_LENGTH + 1))
+      ).toBe(false);
+    });
+
+    test("should allow ciphertext in encrypted mode", () => {
+      const previous = process.env.REACTION_MODE;
+      process.env.REACTION_MODE = "encrypted";
+
+      jest.isolateModules(() => {
+        const controller = require("../src/controllers/MessageController");
+        expect(controller.isValidReaction("a".repeat(500) + " b")).toBe(true);
+      });
+
+      if (previous === undefined) {
+        delete process.env.REACTION_MODE;
+      } else {
+        process.env.REACTION_MODE = previous;
+      }
+    });
+  });
+
+  describe("adding", () => {
+    test("should add a reaction and tell every participant", async () => {
+      const reactions = [{ reaction: "👍", count: 1, users: ["bob"] }];
+      jest
+        .spyOn(messageRepository, "addReaction")
+        .mockResolvedValue({ ...message, reactions });
+
+      const res = mockResponse();
+      await messageController.addReaction(react("bob", "👍"), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Reaction added",
+        messageId,
+        reactions,
+      });
+      expect(messageRepository.addReaction).toHaveBeenCalledWith(
+        messageId,
+        "bob",
+        "👍"
+      );
+
+      const [usernames, event, options] =
+        messageService.publishEvent.mock.calls[0];
+      expect(usernames.sort()).toEqual(["alice", "bob", "carol"]);
+      expect(event.type).toBe("message-reaction");
+      expect(event.data).toMatchObject({
+        messageId,
+        username: "bob",
+        reaction: "👍",
+        action: "added",
+        reactions,
+      });
+      expect(options).toEqual({ queue: true });
+    });
+
+    test("should reject an invalid reaction", async () => {
+      const addReaction = jest.spyOn(messageRepository, "addReaction");
+
+      const res = mockResponse();
+      await messageController.addReaction(react("bob", "a b"), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(addReaction).not.toHaveBeenCalled();
+    });
+
+    test("should not react to a message the caller cannot see", async () => {
+      messageRepository.getMessageById.mockResolvedValue(null);
+      const addReaction = jest.spyOn(messageRepository, "addReaction");
+
+      const res = mockResponse();
+      await messageController.addReaction(react("mallory", "👍"), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(addReaction).not.toHaveBeenCalled();
+    });
+
+    test("should not react to a deleted message", async () => {
+      messageRepository.getMessageById.mockResolvedValue({
+        ...message,
+        deleted: true,
+      });
+      const addReaction = jest.spyOn(messageRepository, "addReaction");
+
+      const res = mockResponse();
+      await messageController.addReaction(react("bob", "👍"), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(addReaction).not.toHaveBeenCalled();
+      expect(messageService.publishEvent).not.toHaveBeenCalled();
+    });
+
+    test("should report the per-user limit when the update matches nothing", async () => {
+      jest.spyOn(messageRepository, "addReaction").mockResolvedValue(null);
+
+      const res = mockResponse();
+      await messageController.addReaction(react("bob", "👍"), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].message).toContain(
+        String(MAX_REACTIONS_PER_USER)
+      );
+      expect(messageService.publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("removing", () => {
+    test("should remove a reaction given in the query", async () => {
+      jest
+        .spyOn(messageRepository, "removeReaction")
+        .mockResolvedValue({ ...message, reactions: [] });
+
+      const res = mockResponse();
+      await messageController.removeReaction(
+        { ...react("bob"), query: { reaction: "👍" } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(messageRepository.removeReaction).toHaveBeenCalledWith(
+        messageId,
+        "bob",
+        "👍"
+      );
+      expect(messageService.publishEvent.mock.calls[0][1].data.action).toBe(
+        "removed"
+      );
+    });
+
+    test("should still remove reactions from a deleted message", async () => {
+      messageRepository.getMessageById.mockResolvedValue({
+        ...message,
+        deleted: true,
+      });
+      jest
+        .spyOn(messageRepository, "removeReaction")
+        .mockResolvedValue({ ...message, reactions: [] });
+
+      const res = mockResponse();
+      await messageController.removeReaction(react("bob", "👍"), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should report a missing reaction when the update matches nothing", async () => {
+      jest.spyOn(messageRepository, "removeReaction").mockResolvedValue(null);
+
+      const res = mockResponse();
+      await messageController.removeReaction(react("bob", "👍"), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: "Reaction not found" });
+      expect(messageService.publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("storage", () => {
+    test("should only add to visible, undeleted messages under the limit", async () => {
+      Message.findOneAndUpdate.mockReturnValue(query(null));
+
+      await messageRepository.addReaction(messageId, "bob", "👍");
+
+      const [filter, pipeline, options] =
+        Message.findOneAndUpdate.mock.calls[0];
+      expect(filter._id).toBe(messageId);
+      expect(filter.deleted).toEqual({ $ne: true });
+      expect(filter.$expr.$lt[1]).toBe(MAX_REACTIONS_PER_USER);
+      expect(Array.isArray(pipeline)).toBe(true);
+      expect(options.new).toBe(true);
+    });
+
+    test("should treat reactions as literals in the update pipeline", async () => {
+      Message.findOneAndUpdate.mockReturnValue(query(null));
+
+      await messageRepository.addReaction(messageId, "bob", "$reactions");
+      await messageRepository.removeReaction(messageId, "bob", "$reactions");
+
+      for (const [, pipeline] of Message.findOneAndUpdate.mock.calls) {
+        expect(JSON.stringify(pipeline)).toContain('{"$literal":"$reactions"}');
+      }
+    });
+  });
+});
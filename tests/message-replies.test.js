@@ -0,0 +1,252 @@
+jest.mock("../src/models/Message", () => ({
+  find: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({}));
+jest.mock("../src/repositories/MessageRepository", () => ({
+  createMessageId: jest.fn(),
+  findExistingUsernames: jest.fn(),
+  getMessageById: jest.fn(),
+  getMessageHistory: jest.fn(),
+  recordReply: jest.fn(),
+  withholdViewOnce: jest.fn((messages) => messages),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({
+  findOrCreateDirect: jest.fn(),
+  touch: jest.fn(),
+}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({
+  getUsage: jest.fn(),
+  recordMessage: jest.fn(),
+}));
+jest.mock("../src/services/MessageService", () => ({
+  addToMessageBatch: jest.fn(),
+  broadcastMessage: jest.fn(),
+  ensurePersisted: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Message = require("../src/models/Message");
+const messageRepository = require("../src/repositories/MessageRepository");
+const conversationRepository = require("../src/repositories/ConversationRepository");
+const usageRepository = require("../src/repositories/UsageRepository");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+const { encodeCursor } = require("../src/utils/cursor");
+
+const MessageRepository = jest.requireActual(
+  "../src/repositories/MessageRepository"
+);
+
+const query = (result) => {
+  const chain = {};
+  chain.select = jest.fn().mockReturnValue(chain);
+  chain.sort = jest.fn().mockReturnValue(chain);
+  chain.limit = jest.fn().mockReturnValue(chain);
+  chain.lean = jest.fn().mockReturnValue(chain);
+  chain.exec = jest.fn().mockResolvedValue(result);
+  return chain;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("Replies and Threads", () => {
+  const messageId = new mongoose.Types.ObjectId();
+  const conversationId = new mongoose.Types.ObjectId();
+  const parentId = new mongoose.Types.ObjectId().toString();
+
+  const parent = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(parentId),
+    sender: "bob",
+    recipients: ["alice"],
+    conversationId,
+    timestamp: new Date(Date.now() - 60000),
+    ...fields,
+  });
+
+  const reply = (replyTo = parentId) => ({
+    get: () => undefined,
+    body: {
+      encryptedContent: "ciphertext",
+      iv: "iv",
+      recipients: ["bob"],
+      recipientKeys: { bob: "key" },
+      replyTo,
+    },
+    user: { username: "alice" },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageRepository.createMessageId.mockResolvedValue(messageId);
+    messageRepository.findExistingUsernames.mockResolvedValue(["bob"]);
+    messageRepository.getMessageById.mockResolvedValue(parent());
+    messageRepository.recordReply.mockResolvedValue();
+    conversationRepository.findOrCreateDirect.mockResolvedValue({
+      _id: conversationId,
+    });
+    conversationRepository.touch.mockResolvedValue();
+    usageRepository.getUsage.mockResolvedValue({
+      messagesToday: 0,
+      storedBytes: 0,
+      resetsAt: new Date(Date.now() + 3600000),
+    });
+    usageRepository.recordMessage.mockResolvedValue();
+    messageService.addToMessageBatch.mockResolvedValue();
+    messageService.ensurePersisted.mockResolvedValue();
+  });
+
+  describe("replying", () => {
+    test("should count a reply on its parent", async () => {
+      const res = mockResponse();
+      await messageController.sendMessage(reply(), res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const sent = messageService.addToMessageBatch.mock.calls[0][0];
+      expect(sent.replyTo.toString()).toBe(parentId);
+      expect(messageRepository.recordReply).toHaveBeenCalledWith(
+        sent.replyTo,
+        sent.timestamp
+      );
+    });
+
+    test("should reject a reply to a parent in another conversation", async () => {
+      messageRepository.getMessageById.mockResolvedValue(
+        parent({ conversationId: new mongoose.Types.ObjectId() })
+      );
+
+      const res = mockResponse();
+      await messageController.sendMessage(reply(), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe(
+        "Replies must go to the parent's conversation"
+      );
+      expect(messageService.addToMessageBatch).not.toHaveBeenCalled();
+      expect(messageRepository.recordReply).not.toHaveBeenCalled();
+    });
+
+    test("should reject a reply to a parent the sender cannot see", async () => {
+      messageRepository.getMessageById.mockResolvedValue(null);
+
+      const res = mockResponse();
+      await messageController.sendMessage(reply(), res);
+
+      expect(messageRepository.getMessageById).toHaveBeenCalledWith(
+        parentId,
+        "alice"
+      );
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(messageService.addToMessageBatch).not.toHaveBeenCalled();
+    });
+
+    test("should reject a reply to a deleted parent", async () => {
+      messageRepository.getMessageById.mockResolvedValue(
+        parent({ deleted: true, deletedAt: new Date() })
+      );
+
+      const res = mockResponse();
+      await messageController.sendMessage(reply(), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(messageService.addToMessageBatch).not.toHaveBeenCalled();
+    });
+
+    test("should reject an invalid parent id", async () => {
+      const res = mockResponse();
+      await messageController.sendMessage(reply("not-an-id"), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(messageRepository.getMessageById).not.toHaveBeenCalled();
+    });
+
+    test("should increment the reply count and move lastReplyAt forward", async () => {
+      Message.updateOne.mockReturnValue(query({ modifiedCount: 1 }));
+      const timestamp = new Date();
+
+      await MessageRepository.recordReply(parentId, timestamp);
+
+      expect(Message.updateOne).toHaveBeenCalledWith(
+        { _id: parentId },
+        { $inc: { replyCount: 1 }, $max: { lastReplyAt: timestamp } }
+      );
+    });
+  });
+
+  describe("threads", () => {
+    const thread = (query = {}) => ({
+      params: { messageId: parentId },
+      query,
+      user: { username: "alice" },
+    });
+
+    test("should page through the replies to a message", async () => {
+      const before = {
+        _id: new mongoose.Types.ObjectId(),
+        timestamp: new Date(),
+      };
+      const page = { messages: [], hasMore: true, nextCursor: "next" };
+      messageRepository.getMessageHistory.mockResolvedValue(page);
+
+      const res = mockResponse();
+      await messageController.getThread(
+        thread({ limit: "2", before: encodeCursor(before) }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [username, options] =
+        messageRepository.getMessageHistory.mock.calls[0];
+      expect(username).toBe("alice");
+      expect(options.replyTo).toBe(parentId);
+      expect(options.limit).toBe(2);
+      expect(options.before.id.toString()).toBe(before._id.toString());
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        parent: { sender: "bob" },
+        hasMore: true,
+        nextCursor: "next",
+      });
+    });
+
+    test("should not show the thread of a message the caller cannot see", async () => {
+      messageRepository.getMessageById.mockResolvedValue(null);
+
+      const res = mockResponse();
+      await messageController.getThread(thread(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(messageRepository.getMessageHistory).not.toHaveBeenCalled();
+    });
+
+    test("should only fetch replies to the parent, one page at a time", async () => {
+      const replies = [3, 2, 1].map((minutes) => ({
+        _id: new mongoose.Types.ObjectId(),
+        sender: "alice",
+        replyTo: new mongoose.Types.ObjectId(parentId),
+        timestamp: new Date(Date.now() - minutes * 60000),
+      }));
+      const find = query(replies);
+      Message.find.mockReturnValue(find);
+
+      const page = await MessageRepository.getMessageHistory("alice", {
+        limit: 2,
+        replyTo: parentId,
+      });
+
+      expect(Message.find.mock.calls[0][0].replyTo.toString()).toBe(parentId);
+      expect(find.limit).toHaveBeenCalledWith(3);
+      expect(page.messages).toHaveLength(2);
+      expect(page.hasMore).toBe(true);
+      expect(page.nextCursor).toBe(encodeCursor(replies[1]));
+    });
+  });
+});
@@ -0,0 +1,359 @@
+jest.mock("../src/models/Message", () => ({
+  findOneAndUpdate: jest.fn(),
+  findOneAndDelete: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({}));
+jest.mock("../src/models/Usage", () => ({
+  updateOne: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({
+  touch: jest.fn(),
+}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({
+  extendExpiry: jest.fn(),
+}));
+jest.mock("../src/services/MessageService", () => ({
+  buildReceipts: jest.fn(),
+  broadcastMessage: jest.fn(),
+  announcePersisted: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Message = require("../src/models/Message");
+const Usage = require("../src/models/Usage");
+const messageRepository = require("../src/repositories/MessageRepository");
+const attachmentRepository = require("../src/repositories/AttachmentRepository");
+const messageService = require("../src/services/MessageService");
+const messageScheduler = require("../src/services/MessageScheduler");
+const messageController = require("../src/controllers/MessageController");
+const { messageSize, usageDay } = require("../src/utils/usage");
+const { expiresAtExpression } = require("../src/utils/expiry");
+
+const query = (result) => {
+  const chain = {};
+  chain.select = jest.fn().mockReturnValue(chain);
+  chain.lean = jest.fn().mockReturnValue(chain);
+  chain.exec = jest.fn().mockResolvedValue(result);
+  return chain;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("Scheduled Messages", () => {
+  const claimedAt = new Date();
+
+  const scheduled = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    sender: "alice",
+    recipients: ["bob"],
+    encryptedContent: "ciphertext",
+    iv: "iv",
+    recipientKeys: { bob: "key" },
+    attachments: [],
+    status: "delivering",
+    deliverAt: new Date(claimedAt.getTime() - 1000),
+    claimedAt,
+    timestamp: claimedAt,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    messageService.buildReceipts.mockReturnValue([]);
+  });
+
+  describe("claiming", () => {
+    test("should claim due messages and stale claims in one update", async () => {
+      Message.findOneAndUpdate.mockReturnValue(query(null));
+      const now = new Date();
+      const staleBefore = new Date(now.getTime() - 60000);
+
+      await messageRepository.claimDueMessage(now, staleBefore);
+
+      const [filter, update] = Message.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or).toEqual([
+        { status: "scheduled", deliverAt: { $lte: now } },
+        { status: "delivering", claimedAt: { $lte: staleBefore } },
+      ]);
+      expect(update.$set).toEqual({
+        status: "delivering",
+        claimedAt: now,
+        timestamp: now,
+      });
+    });
+
+    test("should only finish a message for the current claim", async () => {
+      Message.updateOne.mockReturnValue(query({ modifiedCount: 0 }));
+      const messageId = new mongoose.Types.ObjectId();
+
+      const finished = await messageRepository.finishScheduledMessage(
+        messageId,
+        claimedAt,
+        new Date()
+      );
+
+      expect(finished).toBe(false);
+      expect(Message.updateOne.mock.calls[0][0]).toEqual({
+        _id: messageId,
+        status: "delivering",
+        claimedAt,
+      });
+    });
+
+    test("should pass the stale cutoff and stop when nothing is due", async () => {
+      const claim = jest
+        .spyOn(messageRepository, "claimDueMessage")
+        .mockResolvedValueOnce(scheduled())
+        .mockResolvedValueOnce(null);
+      const deliver = jest
+        .spyOn(messageScheduler, "deliver")
+        .mockResolvedValue();
+
+      await messageScheduler.tick();
+
+      expect(claim).toHaveBeenCalledTimes(2);
+      const [now, staleBefore] = claim.mock.calls[0];
+      expect(now.getTime() - staleBefore.getTime()).toBe(
+        messageScheduler.CLAIM_TIMEOUT
+      );
+      expect(deliver).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("delivery", () => {
+    beforeEach(() => {
+      jest.spyOn(messageRepository, "saveBulkMessages").mockResolvedValue();
+    });
+
+    test("should broadcast a message once its claim is finished", async () => {
+      const message = scheduled();
+      const finish = jest
+        .spyOn(messageRepository, "finishScheduledMessage")
+        .mockResolvedValue(true);
+
+      await messageScheduler.deliver(message);
+
+      expect(finish).toHaveBeenCalledWith(
+        message._id,
+        claimedAt,
+        expect.any(Date)
+      );
+      expect(messageService.broadcastMessage).toHaveBeenCalledTimes(1);
+      const broadcast = messageService.broadcastMessage.mock.calls[0][0];
+      expect(broadcast.status).toBeUndefined();
+      expect(broadcast.claimedAt).toBeUndefined();
+      expect(messageService.announcePersisted).toHaveBeenCalledWith([
+        broadcast,
+      ]);
+    });
+
+    test("should not broadcast when a stale claim was taken over", async () => {
+      jest
+        .spyOn(messageRepository, "finishScheduledMessage")
+        .mockResolvedValue(false);
+
+      await messageScheduler.deliver(scheduled());
+
+      expect(messageRepository.saveBulkMessages).toHaveBeenCalled();
+      expect(messageService.broadcastMessage).not.toHaveBeenCalled();
+      expect(messageService.announcePersisted).not.toHaveBeenCalled();
+    });
+
+    test("should extend attachments to the delivery-time expiry", async () => {
+      const attachmentId = new mongoose.Types.ObjectId();
+      jest
+        .spyOn(messageRepository, "finishScheduledMessage")
+        .mockResolvedValue(true);
+
+      await messageScheduler.deliver({
+        ...scheduled(),
+        attachments: [{ attachmentId, size: 10, recipientKeys: {} }],
+      });
+
+      expect(attachmentRepository.extendExpiry).toHaveBeenCalledWith(
+        [attachmentId],
+        expect.any(Date)
+      );
+    });
+  });
+
+  describe("rescheduling", () => {
+    const messageId = new mongoose.Types.ObjectId().toString();
+
+    const reschedule = (deliverAt) => ({
+      params: { messageId },
+      body: { deliverAt },
+      user: { username: "alice" },
+    });
+
+    test("should move a scheduled message to its new time", async () => {
+      Message.findOneAndUpdate.mockReturnValue(
+        query({ _id: messageId, attachments: [], ttlSeconds: 3600 })
+      );
+      const deliverAt = new Date(Date.now() + 3600000);
+
+      const res = mockResponse();
+      await messageController.rescheduleMessage(
+        reschedule(deliverAt.toISOString()),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [filter, update] = Message.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        _id: messageId,
+        sender: "alice",
+        status: "scheduled",
+      });
+      expect(update[0].$set).toEqual({
+        deliverAt: { $literal: deliverAt },
+        timestamp: { $literal: deliverAt },
+        expiresAt: expiresAtExpression({ $literal: deliverAt }),
+      });
+
+      const message = res.json.mock.calls[0][0];
+      expect(message.timestamp).toEqual(deliverAt);
+      expect(message.expiresAt).toEqual(
+        new Date(deliverAt.getTime() + 3600 * 1000)
+      );
+      expect(message.ttlSeconds).toBeUndefined();
+    });
+
+    test("should keep a message moved past its old expiry alive", async () => {
+      const attachmentId = new mongoose.Types.ObjectId();
+      const oldExpiry = new Date(Date.now() + 2 * 3600000);
+      Message.findOneAndUpdate.mockReturnValue(
+        query({
+          ...scheduled(),
+          _id: messageId,
+          status: "scheduled",
+          ttlSeconds: 3600,
+          expiresAt: oldExpiry,
+          attachments: [{ attachmentId, size: 10, recipientKeys: {} }],
+        })
+      );
+      attachmentRepository.extendExpiry.mockResolvedValue(true);
+      Usage.updateOne.mockReturnValue(query({}));
+      const deliverAt = new Date(Date.now() + 3 * 86400000);
+
+      const res = mockResponse();
+      await messageController.rescheduleMessage(
+        reschedule(deliverAt.toISOString()),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const newExpiry = new Date(deliverAt.getTime() + 3600 * 1000);
+      expect(newExpiry.getTime()).toBeGreaterThan(oldExpiry.getTime());
+      expect(res.json.mock.calls[0][0].expiresAt).toEqual(newExpiry);
+      expect(attachmentRepository.extendExpiry).toHaveBeenCalledWith(
+        [attachmentId],
+        newExpiry
+      );
+
+      // The message's bytes now count until its new expiry day
+      const refund = Usage.updateOne.mock.calls[0][1][0].$set;
+      expect(Object.keys(refund).sort()).toEqual(
+        [
+          `storedBytes.${usageDay(oldExpiry)}`,
+          `storedBytes.${usageDay(newExpiry)}`,
+        ].sort()
+      );
+    });
+
+    test("should not reschedule a message that is already delivering", async () => {
+      Message.findOneAndUpdate.mockReturnValue(query(null));
+
+      const res = mockResponse();
+      await messageController.rescheduleMessage(
+        reschedule(new Date(Date.now() + 3600000).toISOString()),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should reject times in the past", async () => {
+      const res = mockResponse();
+      await messageController.rescheduleMessage(
+        reschedule(new Date(Date.now() - 1000).toISOString()),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cancelling", () => {
+    const cancel = (messageId) => ({
+      params: { messageId: messageId.toString() },
+      user: { username: "alice" },
+    });
+
+    test("should refund the usage counted when the message was scheduled", async () => {
+      const message = {
+        ...scheduled(),
+        expiresAt: new Date(Date.now() + 86400000),
+      };
+      Message.findOneAndDelete.mockReturnValue(query(message));
+      Usage.updateOne.mockReturnValue(query({}));
+
+      const res = mockResponse();
+      await messageController.cancelScheduledMessage(cancel(message._id), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const [filter, pipeline] = Usage.updateOne.mock.calls[0];
+      expect(filter).toEqual({ username: "alice" });
+      const refund = pipeline[0].$set;
+      const bucket = `storedBytes.${message.expiresAt
+        .toISOString()
+        .slice(0, 10)}`;
+      expect(refund[bucket].$cond[0].$gt[0].$subtract[1]).toBe(
+        messageSize(message)
+      );
+      expect(refund.messagesToday).toBeDefined();
+    });
+
+    test("should leave the daily count alone for messages scheduled on an earlier day", async () => {
+      const message = {
+        ...scheduled(),
+        _id: mongoose.Types.ObjectId.createFromTime(
+          Math.floor(Date.now() / 1000) - 2 * 86400
+        ),
+        expiresAt: new Date(Date.now() + 86400000),
+      };
+      Message.findOneAndDelete.mockReturnValue(query(message));
+      Usage.updateOne.mockReturnValue(query({}));
+
+      const res = mockResponse();
+      await messageController.cancelScheduledMessage(cancel(message._id), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(Usage.updateOne.mock.calls[0][1][0].$set.messagesToday).toBe(
+        undefined
+      );
+    });
+
+    test("should not refund anything when there is nothing to cancel", async () => {
+      Message.findOneAndDelete.mockReturnValue(query(null));
+
+      const res = mockResponse();
+      await messageController.cancelScheduledMessage(
+        cancel(new mongoose.Types.ObjectId()),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Usage.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock("../src/models/Message", () => ({
+  find: jest.fn(),
+  aggregate: jest.fn(),
+}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({
+  collection: { name: "messagereceipts" },
+  find: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({}));
+jest.mock("../src/services/MessageService", () => ({
+  ensurePersisted: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Message = require("../src/models/Message");
+const MessageReceipt = require("../src/models/MessageReceipt");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+
+const query = (result) => {
+  const chain = {};
+  for (const method of ["select", "sort", "limit", "lean", "option"]) {
+    chain[method] = jest.fn().mockReturnValue(chain);
+  }
+  chain.exec = jest.fn().mockResolvedValue(result);
+  return chain;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("Message Search", () => {
+  const search = (params) => ({
+    query: params,
+    user: { username: "bob" },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Message.find.mockReturnValue(query([]));
+    Message.aggregate.mockReturnValue(query([]));
+    MessageReceipt.find.mockReturnValue(query([]));
+    messageService.ensurePersisted.mockResolvedValue(0);
+  });
+
+  describe("blind-index tokens", () => {
+    test("should accept opaque tokens and drop duplicates", () => {
+      expect(messageController.parseSearchTokens(["a1", "b2", "a1"])).toEqual({
+        tokens: ["a1", "b2"],
+      });
+      expect(messageController.parseSearchTokens(undefined)).toEqual({
+        tokens: [],
+      });
+    });
+
+    test("should reject tokens of the wrong shape", () => {
+      const { MAX_SEARCH_TOKENS, MAX_SEARCH_TOKEN_LENGTH } = messageController;
+
+      for (const tokens of [
+        "a1",
+        [""],
+        [42],
+        ["a".repeat(MAX_SEARCH_TOKEN_LENGTH + 1)],
+        Array.from({ length: MAX_SEARCH_TOKENS + 1 }, (_, i) => `t${i}`),
+      ]) {
+        expect(messageController.parseSearchTokens(tokens).status).toBe(400);
+      }
+    });
+
+    test("should split comma-separated and repeated query tokens", async () => {
+      const res = mockResponse();
+      await messageController.searchMessages(
+        search({ tokens: ["a1,b2", "c3", "a1"] }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(Message.find.mock.calls[0][0].searchTokens).toEqual({
+        $all: ["a1", "b2", "c3"],
+      });
+    });
+  });
+
+  describe("filters", () => {
+    test("should narrow what the caller can already see", async () => {
+      const res = mockResponse();
+      await messageController.searchMessages(
+        search({
+          sender: "alice",
+          hasAttachment: "true",
+          from: "2024-01-01T00:00:00.000Z",
+        }),
+        res
+      );
+
+      const filter = Message.find.mock.calls[0][0];
+      expect(filter.$or).toEqual([{ recipients: "bob" }, { sender: "bob" }]);
+      expect(filter.sender).toBe("alice");
+      expect(filter["attachments.0"]).toEqual({ $exists: true });
+      expect(filter.timestamp).toEqual({
+        $gte: new Date("2024-01-01T00:00:00.000Z"),
+      });
+    });
+
+    test("should reject flags that are not true or false", async () => {
+      const res = mockResponse();
+      await messageController.searchMessages(search({ unread: "yes" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Message.find).not.toHaveBeenCalled();
+    });
+
+    test("should join unread state from receipts instead of listing ids", async () => {
+      const res = mockResponse();
+      await messageController.searchMessages(search({ unread: "true" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(messageService.ensurePersisted).toHaveBeenCalled();
+      expect(Message.find).not.toHaveBeenCalled();
+
+      const pipeline = Message.aggregate.mock.calls[0][0];
+      const filter = pipeline[0].$match;
+      expect(filter._id).toBeUndefined();
+
+      const lookup = pipeline.find((stage) => stage.$lookup).$lookup;
+      expect(lookup.from).toBe("messagereceipts");
+      expect(lookup.pipeline[0].$match).toMatchObject({
+        username: "bob",
+        readAt: null,
+        hiddenAt: null,
+      });
+      expect(pipeline).toContainEqual({
+        $match: { "unreadReceipts.0": { $exists: true } },
+      });
+
+      // Unread state is matched before the page is cut
+      const stages = pipeline.map((stage) => Object.keys(stage)[0]);
+      expect(stages.indexOf("$lookup")).toBeLessThan(stages.indexOf("$limit"));
+    });
+
+    test("should keep messages without an unread receipt for unread=false", async () => {
+      const res = mockResponse();
+      await messageController.searchMessages(search({ unread: "false" }), res);
+
+      expect(Message.aggregate.mock.calls[0][0]).toContainEqual({
+        $match: { "unreadReceipts.0": { $exists: false } },
+      });
+    });
+
+    test("should count unread matches with the same join", async () => {
+      const message = {
+        _id: new mongoose.Types.ObjectId(),
+        sender: "alice",
+        recipients: ["bob"],
+        timestamp: new Date(),
+      };
+      Message.aggregate
+        .mockReturnValueOnce(query([message]))
+        .mockReturnValueOnce(query([{ total: 1 }]));
+
+      const res = mockResponse();
+      await messageController.searchMessages(
+        search({ unread: "true", includeTotal: "true" }),
+        res
+      );
+
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        totalMessages: 1,
+        approximate: false,
+      });
+      const countPipeline = Message.aggregate.mock.calls[1][0];
+      expect(countPipeline.some((stage) => stage.$lookup)).toBe(true);
+      expect(countPipeline[countPipeline.length - 1]).toEqual({
+        $count: "total",
+      });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+jest.mock("../src/repositories/MessageRepository", () => ({}));
+jest.mock("../src/repositories/ConversationRepository", () => ({
+  findForMember: jest.fn(),
+}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({}));
+jest.mock("../src/services/MessageService", () => ({
+  isAtCapacity: jest.fn(),
+  getLoadFactor: jest.fn(),
+  addStreamClient: jest.fn(),
+  removeClient: jest.fn(),
+}));
+
+const EventEmitter = require("events");
+const mongoose = require("mongoose");
+const conversationRepository = require("../src/repositories/ConversationRepository");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+const { encodeCursor } = require("../src/utils/cursor");
+
+describe("Server-Sent Events", () => {
+  const mockRequest = ({ headers = {}, query = {} } = {}) => {
+    const req = new EventEmitter();
+    req.user = { username: "bob", sessionId: "session-1" };
+    req.headers = headers;
+    req.query = query;
+    req.setTimeout = jest.fn();
+    return req;
+  };
+
+  const mockResponse = () => {
+    const res = { headersSent: false, chunks: [] };
+    res.set = jest.fn().mockReturnValue(res);
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    res.writeHead = jest.fn(() => {
+      res.headersSent = true;
+    });
+    res.write = jest.fn((chunk) => res.chunks.push(chunk));
+    res.end = jest.fn();
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ doNotFake: ["Date"] });
+    messageService.isAtCapacity.mockReturnValue(false);
+    messageService.addStreamClient.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should open an event stream and register the client", async () => {
+    const req = mockRequest();
+    const res = mockResponse();
+
+    await messageController.streamMessages(req, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(
+      200,
+      expect.objectContaining({ "Content-Type": "text/event-stream" })
+    );
+    expect(res.chunks[0]).toBe("retry: 3000\n\n");
+    expect(req.setTimeout).toHaveBeenCalledWith(0);
+    expect(messageService.addStreamClient).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({
+        username: "bob",
+        conversationId: null,
+        transport: "sse",
+        since: null,
+      })
+    );
+  });
+
+  test("should frame events with their cursor as the event id", async () => {
+    const res = mockResponse();
+    await messageController.streamMessages(mockRequest(), res);
+
+    const { send } = messageService.addStreamClient.mock.calls[0][1];
+    send({ type: "message", cursor: "abc", data: { messageId: "m1" } });
+
+    expect(res.chunks[1]).toBe(
+      'event: message\nid: abc\ndata: {"messageId":"m1"}\n\n'
+    );
+  });
+
+  test("should resume from Last-Event-ID", async () => {
+    const last = {
+      _id: new mongoose.Types.ObjectId(),
+      timestamp: new Date("2024-03-13T10:00:00.000Z"),
+    };
+
+    await messageController.streamMessages(
+      mockRequest({ headers: { "last-event-id": encodeCursor(last) } }),
+      mockResponse()
+    );
+
+    const { since } = messageService.addStreamClient.mock.calls[0][1];
+    expect(since.id.toString()).toBe(last._id.toString());
+    expect(since.timestamp.getTime()).toBe(last.timestamp.getTime());
+  });
+
+  test("should reject an invalid Last-Event-ID", async () => {
+    const res = mockResponse();
+    await messageController.streamMessages(
+      mockRequest({ headers: { "last-event-id": "garbage" } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(messageService.addStreamClient).not.toHaveBeenCalled();
+  });
+
+  test("should only stream conversations the user belongs to", async () => {
+    conversationRepository.findForMember.mockResolvedValue(null);
+
+    const res = mockResponse();
+    await messageController.streamMessages(
+      mockRequest({ query: { conversationId: "64b000000000000000000001" } }),
+      res
+    );
+
+    expect(conversationRepository.findForMember).toHaveBeenCalledWith(
+      "64b000000000000000000001",
+      "bob"
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.writeHead).not.toHaveBeenCalled();
+  });
+
+  test("should turn clients away with Retry-After at capacity", async () => {
+    messageService.isAtCapacity.mockReturnValue(true);
+    messageService.getLoadFactor.mockReturnValue(1.2);
+
+    const res = mockResponse();
+    await messageController.streamMessages(mockRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", "6");
+    expect(messageService.addStreamClient).not.toHaveBeenCalled();
+  });
+
+  test("should send heartbeats and stop when the client disconnects", async () => {
+    const req = mockRequest();
+    const res = mockResponse();
+    await messageController.streamMessages(req, res);
+
+    jest.advanceTimersByTime(messageController.SSE_HEARTBEAT_INTERVAL);
+    expect(res.chunks[1]).toMatch(/^event: heartbeat\n/);
+
+    req.emit("close");
+    const clientId = messageService.addStreamClient.mock.calls[0][0];
+    expect(messageService.removeClient).toHaveBeenCalledWith(clientId);
+
+    jest.advanceTimersByTime(messageController.SSE_HEARTBEAT_INTERVAL * 2);
+    expect(res.chunks).toHaveLength(2);
+  });
+
+  test("should register the session and end the stream on close", async () => {
+    const res = mockResponse();
+    await messageController.streamMessages(mockRequest(), res);
+
+    const [clientId, client] = messageService.addStreamClient.mock.calls[0];
+    expect(client.sessionId).toBe("session-1");
+
+    client.close();
+    expect(res.end).toHaveBeenCalled();
+    expect(messageService.removeClient).toHaveBeenCalledWith(clientId);
+
+    jest.advanceTimersByTime(messageController.SSE_HEARTBEAT_INTERVAL);
+    expect(res.chunks).toHaveLength(1);
+  });
+});
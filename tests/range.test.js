@@ -0,0 +1,30 @@
+const { parseRange } = require("../src/utils/range");
+
+describe("Range Requests", () => {
+  test("should read byte ranges", () => {
+    expect(parseRange("bytes=0-99", 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseRange("bytes=500-", 1000)).toEqual({ start: 500, end: 999 });
+    expect(parseRange("bytes=-100", 1000)).toEqual({ start: 900, end: 999 });
+  });
+
+  test("should clamp ranges to the end of the blob", () => {
+    expect(parseRange("bytes=900-5000", 1000)).toEqual({
+      start: 900,
+      end: 999,
+    });
+    expect(parseRange("bytes=-5000", 1000)).toEqual({ start: 0, end: 999 });
+  });
+
+  test("should serve the whole blob for missing or unsupported headers", () => {
+    expect(parseRange(undefined, 1000)).toBeUndefined();
+    expect(parseRange("bytes=-", 1000)).toBeUndefined();
+    expect(parseRange("bytes=0-1,5-9", 1000)).toBeUndefined();
+    expect(parseRange("items=0-9", 1000)).toBeUndefined();
+  });
+
+  test("should reject unsatisfiable ranges", () => {
+    expect(parseRange("bytes=1000-", 1000)).toBeNull();
+    expect(parseRange("bytes=10-5", 1000)).toBeNull();
+    expect(parseRange("bytes=-0", 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock("../src/repositories/MessageRepository", () => ({
+  markMessageAsRead: jest.fn(),
+  markReadUpTo: jest.fn(),
+  getMessageById: jest.fn(),
+  startReadTimers: jest.fn(),
+  isSender: jest.fn(),
+  getReceipts: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({}));
+jest.mock("../src/services/MessageService", () => ({
+  ensurePersisted: jest.fn(),
+  notifySenders: jest.fn(),
+  applyChanges: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const messageRepository = require("../src/repositories/MessageRepository");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+
+describe("Read Receipts", () => {
+  const messageId = new mongoose.Types.ObjectId();
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageService.ensurePersisted.mockResolvedValue(0);
+    messageRepository.startReadTimers.mockResolvedValue([]);
+  });
+
+  test("should tell the sender when a recipient reads a message", async () => {
+    const readAt = new Date();
+    const receipt = { messageId, sender: "alice", readAt };
+    messageRepository.markMessageAsRead.mockResolvedValue(receipt);
+
+    const res = mockResponse();
+    await messageController.markMessageAsRead(
+      {
+        params: { messageId: messageId.toString() },
+        user: { username: "bob" },
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(messageRepository.markMessageAsRead).toHaveBeenCalledWith(
+      messageId.toString(),
+      "bob"
+    );
+    expect(messageRepository.startReadTimers).toHaveBeenCalledWith(
+      [messageId],
+      readAt
+    );
+    expect(messageService.notifySenders).toHaveBeenCalledWith(
+      "read-receipt",
+      [receipt],
+      { reader: "bob", readAt }
+    );
+  });
+
+  test("should not send a second receipt for a message already read", async () => {
+    messageRepository.markMessageAsRead.mockResolvedValue(null);
+
+    const res = mockResponse();
+    await messageController.markMessageAsRead(
+      {
+        params: { messageId: messageId.toString() },
+        user: { username: "bob" },
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(messageService.notifySenders).not.toHaveBeenCalled();
+  });
+
+  test("should reject malformed message ids", async () => {
+    const res = mockResponse();
+    await messageController.markMessageAsRead(
+      { params: { messageId: "nope" }, user: { username: "bob" } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(messageRepository.markMessageAsRead).not.toHaveBeenCalled();
+  });
+
+  test("should mark read up to a message only if the reader can see it", async () => {
+    messageRepository.getMessageById.mockResolvedValue(null);
+
+    const res = mockResponse();
+    await messageController.markReadUpTo(
+      { body: { messageId: messageId.toString() }, user: { username: "bob" } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(messageRepository.markReadUpTo).not.toHaveBeenCalled();
+  });
+
+  test("should report how many messages were marked read up to", async () => {
+    const message = { _id: messageId, sender: "alice", timestamp: new Date() };
+    const receipts = [
+      { messageId, sender: "alice" },
+      { messageId: new mongoose.Types.ObjectId(), sender: "carol" },
+    ];
+    const readAt = new Date();
+    messageRepository.getMessageById.mockResolvedValue(message);
+    messageRepository.markReadUpTo.mockResolvedValue({ receipts, readAt });
+
+    const res = mockResponse();
+    await messageController.markReadUpTo(
+      { body: { messageId: messageId.toString() }, user: { username: "bob" } },
+      res
+    );
+
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Messages marked as read",
+      count: 2,
+    });
+    expect(messageService.notifySenders).toHaveBeenCalledWith(
+      "read-receipt",
+      receipts,
+      { reader: "bob", readAt }
+    );
+  });
+
+  test("should only show receipts to the sender", async () => {
+    messageRepository.isSender.mockResolvedValue(null);
+
+    const res = mockResponse();
+    await messageController.getReceipts(
+      {
+        params: { messageId: messageId.toString() },
+        user: { username: "bob" },
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(messageRepository.getReceipts).not.toHaveBeenCalled();
+  });
+
+  test("should list receipts for the sender", async () => {
+    const receipts = [
+      { username: "bob", deliveredAt: new Date(), readAt: null },
+    ];
+    messageRepository.isSender.mockResolvedValue({ _id: messageId });
+    messageRepository.getReceipts.mockResolvedValue(receipts);
+
+    const res = mockResponse();
+    await messageController.getReceipts(
+      {
+        params: { messageId: messageId.toString() },
+        user: { username: "alice" },
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      messageId: messageId.toString(),
+      receipts,
+    });
+  });
+});
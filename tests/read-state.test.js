@@ -0,0 +1,84 @@
+jest.mock("../src/models/Message", () => ({}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({
+  find: jest.fn(),
+  updateMany: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const MessageReceipt = require("../src/models/MessageReceipt");
+const messageRepository = require("../src/repositories/MessageRepository");
+
+describe("Read State", () => {
+  const query = (result) => ({
+    lean: () => ({ exec: () => Promise.resolve(result) }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    MessageReceipt.find.mockReturnValue(query([]));
+  });
+
+  test("should mark read up to a message within its conversation", async () => {
+    const message = {
+      _id: new mongoose.Types.ObjectId(),
+      sender: "alice",
+      conversationId: new mongoose.Types.ObjectId(),
+      timestamp: new Date(),
+    };
+
+    await messageRepository.markReadUpTo(message, "bob");
+
+    const filter = MessageReceipt.find.mock.calls[0][0];
+    expect(filter).toMatchObject({
+      username: "bob",
+      readAt: null,
+      conversationId: message.conversationId,
+    });
+    expect(filter.sender).toBeUndefined();
+  });
+
+  test("should only cover the same sender outside conversations", async () => {
+    const message = {
+      _id: new mongoose.Types.ObjectId(),
+      sender: "alice",
+      conversationId: null,
+      timestamp: new Date(),
+    };
+
+    await messageRepository.markReadUpTo(message, "bob");
+
+    expect(MessageReceipt.find.mock.calls[0][0]).toMatchObject({
+      username: "bob",
+      conversationId: null,
+      sender: "alice",
+    });
+  });
+
+  test("should stamp every matched receipt with one read time", async () => {
+    const receipts = [
+      { _id: 1, messageId: new mongoose.Types.ObjectId(), sender: "alice" },
+      { _id: 2, messageId: new mongoose.Types.ObjectId(), sender: "alice" },
+    ];
+    MessageReceipt.find.mockReturnValue(query(receipts));
+    MessageReceipt.updateMany.mockReturnValue({
+      exec: () => Promise.resolve(),
+    });
+
+    const result = await messageRepository.markReadUpTo(
+      {
+        _id: new mongoose.Types.ObjectId(),
+        sender: "alice",
+        timestamp: new Date(),
+      },
+      "bob"
+    );
+
+    expect(result.receipts).toBe(receipts);
+    expect(result.readAt).toBeInstanceOf(Date);
+    expect(MessageReceipt.updateMany.mock.calls[0][0]).toEqual({
+      _id: { $in: [1, 2] },
+      readAt: null,
+    });
+  });
+});
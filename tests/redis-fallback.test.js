@@ -0,0 +1,76 @@
+process.env.REDIS_URL = "redis://unreachable:6379";
+process.env.REDIS_CONNECT_TIMEOUT_MS = "50";
+
+jest.mock("redis", () => ({
+  createClient: jest.fn(),
+}));
+jest.mock("../src/models/IdempotencyKey", () => ({
+  updateOne: jest.fn(),
+  findOne: jest.fn(),
+}));
+jest.mock("../src/models/RevokedToken", () => ({
+  updateOne: jest.fn(),
+  exists: jest.fn(),
+}));
+
+const { createClient } = require("redis");
+const IdempotencyKey = require("../src/models/IdempotencyKey");
+const { getRedisClient } = require("../src/config/redis.config");
+const idempotencyRepository = require("../src/repositories/IdempotencyRepository");
+const RevokedToken = require("../src/models/RevokedToken");
+const tokenRevocationRepository = require("../src/repositories/TokenRevocationRepository");
+
+// A client whose first connection never settles, as node-redis behaves
+// while it keeps retrying an unreachable server
+const unreachableClient = () => ({
+  isReady: false,
+  isOpen: true,
+  on: jest.fn(),
+  connect: jest.fn(() => new Promise(() => {})),
+});
+
+describe("Redis Fallback", () => {
+  afterAll(() => {
+    delete process.env.REDIS_URL;
+    delete process.env.REDIS_CONNECT_TIMEOUT_MS;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should stop waiting for a connection that never comes up", async () => {
+    createClient.mockReturnValue(unreachableClient());
+
+    await expect(getRedisClient()).rejects.toThrow("Redis is not connected");
+    expect(createClient).toHaveBeenCalledWith(
+      expect.objectContaining({ disableOfflineQueue: true })
+    );
+  });
+
+  test("should keep one client reconnecting in the background", async () => {
+    await expect(getRedisClient()).rejects.toThrow("Redis is not connected");
+
+    expect(createClient).not.toHaveBeenCalled();
+  });
+
+  test("should fall back to MongoDB for idempotency keys", async () => {
+    IdempotencyKey.updateOne.mockReturnValue({
+      exec: jest.fn().mockResolvedValue({}),
+    });
+
+    await expect(
+      idempotencyRepository.reserve("alice", "key-1", "message-1")
+    ).resolves.toBeNull();
+    expect(IdempotencyKey.updateOne).toHaveBeenCalled();
+  });
+
+  test("should check token revocations in MongoDB", async () => {
+    RevokedToken.exists.mockResolvedValue({ _id: "1" });
+
+    await expect(tokenRevocationRepository.isRevoked("jti-1")).resolves.toBe(
+      true
+    );
+    expect(RevokedToken.exists).toHaveBeenCalled();
+  });
+});
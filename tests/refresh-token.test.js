@@ -0,0 +1,78 @@
+jest.mock("../src/models/RefreshToken", () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn(),
+}));
+
+const RefreshToken = require("../src/models/RefreshToken");
+const refreshTokenRepository = require("../src/repositories/RefreshTokenRepository");
+
+describe("Refresh Tokens", () => {
+  let tokens;
+
+  // An in-memory stand-in for the collection, keyed by token hash
+  const query = (result) => ({
+    lean: () => ({ exec: () => Promise.resolve(result) }),
+  });
+  const matches = (doc, filter) =>
+    doc.tokenHash === filter.tokenHash &&
+    (filter.usedAt !== null || doc.usedAt === null) &&
+    (filter.revokedAt !== null || doc.revokedAt === null);
+
+  beforeEach(() => {
+    tokens = [];
+
+    RefreshToken.create.mockImplementation((doc) => {
+      tokens.push({ usedAt: null, revokedAt: null, ...doc });
+      return Promise.resolve(doc);
+    });
+    RefreshToken.findOne.mockImplementation((filter) =>
+      query(tokens.find((doc) => doc.tokenHash === filter.tokenHash) || null)
+    );
+    RefreshToken.findOneAndUpdate.mockImplementation((filter, update) => {
+      const doc = tokens.find((candidate) => matches(candidate, filter));
+      if (doc) Object.assign(doc, update.$set);
+      return query(doc || null);
+    });
+    RefreshToken.updateMany.mockImplementation((filter, update) => {
+      tokens
+        .filter((doc) => doc.familyId === filter.familyId)
+        .forEach((doc) => Object.assign(doc, update.$set));
+      return { exec: () => Promise.resolve() };
+    });
+  });
+
+  test("should store only a hash of the token", async () => {
+    const { token } = await refreshTokenRepository.issue("alice");
+
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0].tokenHash).not.toBe(token);
+    expect(tokens[0].tokenHash).toHaveLength(64);
+  });
+
+  test("should rotate a token into the same family", async () => {
+    const first = await refreshTokenRepository.issue("alice");
+    const rotated = await refreshTokenRepository.rotate(first.token);
+
+    expect(rotated.username).toBe("alice");
+    expect(rotated.familyId).toBe(first.familyId);
+    expect(rotated.token).not.toBe(first.token);
+    expect(tokens[0].usedAt).toBeInstanceOf(Date);
+  });
+
+  test("should revoke the whole family when a used token is replayed", async () => {
+    const first = await refreshTokenRepository.issue("alice");
+    const second = await refreshTokenRepository.rotate(first.token);
+
+    const replay = await refreshTokenRepository.rotate(first.token);
+    expect(replay).toMatchObject({ reused: true, username: "alice" });
+    expect(tokens.every((doc) => doc.revokedAt instanceof Date)).toBe(true);
+
+    expect(await refreshTokenRepository.rotate(second.token)).toBeNull();
+  });
+
+  test("should reject unknown tokens", async () => {
+    expect(await refreshTokenRepository.rotate("not-a-token")).toBeNull();
+  });
+});
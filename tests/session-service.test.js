@@ -0,0 +1,77 @@
+jest.mock("../src/repositories/SessionRepository", () => ({
+  touch: jest.fn(),
+  revoke: jest.fn(),
+}));
+jest.mock("../src/repositories/RefreshTokenRepository", () => ({
+  revokeFamily: jest.fn().mockResolvedValue(),
+}));
+jest.mock("../src/services/ClusterBus", () => {
+  const EventEmitter = require("events");
+  const bus = new EventEmitter();
+  bus.publish = jest.fn();
+  return bus;
+});
+
+const sessionRepository = require("../src/repositories/SessionRepository");
+const refreshTokenRepository = require("../src/repositories/RefreshTokenRepository");
+const clusterBus = require("../src/services/ClusterBus");
+const sessionService = require("../src/services/SessionService");
+
+describe("Sessions", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessionService.cache.clear();
+    sessionRepository.touch.mockResolvedValue({ username: "alice" });
+  });
+
+  test("should cache an active session between requests", async () => {
+    expect(await sessionService.isActive("s1", "alice", "::1")).toBe(true);
+    expect(await sessionService.isActive("s1", "alice", "::1")).toBe(true);
+
+    expect(sessionRepository.touch).toHaveBeenCalledTimes(1);
+  });
+
+  test("should reject a session that belongs to another user", async () => {
+    expect(await sessionService.isActive("s1", "mallory", "::1")).toBe(false);
+  });
+
+  test("should revoke sessions with their refresh tokens everywhere", async () => {
+    sessionRepository.revoke.mockResolvedValue(["s1"]);
+    await sessionService.isActive("s1", "alice", "::1");
+
+    const revoked = jest.fn();
+    sessionService.once("revoked", revoked);
+    await sessionService.revoke("alice", { sessionIds: ["s1"] });
+
+    expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith("s1");
+    expect(clusterBus.publish).toHaveBeenCalledWith("sessions-revoked", {
+      sessionIds: ["s1"],
+    });
+    expect(revoked).toHaveBeenCalledWith(["s1"]);
+    expect(await sessionService.isActive("s1", "alice", "::1")).toBe(false);
+  });
+
+  test("should drop cached sessions revoked on another worker", async () => {
+    await sessionService.isActive("s1", "alice", "::1");
+
+    clusterBus.emit("sessions-revoked", { sessionIds: ["s1"] });
+
+    expect(await sessionService.isActive("s1", "alice", "::1")).toBe(false);
+  });
+
+  test("should not let a lookup racing a revocation re-activate it", async () => {
+    let finishLookup;
+    sessionRepository.touch.mockReturnValue(
+      new Promise((resolve) => {
+        finishLookup = resolve;
+      })
+    );
+
+    const lookup = sessionService.isActive("s1", "alice", "::1");
+    clusterBus.emit("sessions-revoked", { sessionIds: ["s1"] });
+    finishLookup({ username: "alice" });
+    await lookup;
+
+    expect(await sessionService.isActive("s1", "alice", "::1")).toBe(false);
+  });
+});
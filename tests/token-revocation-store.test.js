@@ -0,0 +1,140 @@
+jest.mock("../src/config/redis.config", () => ({
+  getRedisClient: jest.fn(),
+  onRedisReady: jest.fn(),
+}));
+jest.mock("../src/models/RevokedToken", () => ({
+  updateOne: jest.fn(),
+  exists: jest.fn(),
+  find: jest.fn(),
+}));
+
+const { getRedisClient, onRedisReady } = require("../src/config/redis.config");
+const RevokedToken = require("../src/models/RevokedToken");
+const tokenRevocationRepository = require("../src/repositories/TokenRevocationRepository");
+
+const query = (result) => ({
+  lean: jest.fn().mockReturnThis(),
+  exec: jest.fn().mockResolvedValue(result),
+});
+
+describe("Token Revocation Store", () => {
+  const exp = () => Math.floor(Date.now() / 1000) + 900;
+  const syncToRedis = onRedisReady.mock.calls[0][0];
+
+  const redisClient = () => {
+    const multi = { set: jest.fn(), exec: jest.fn().mockResolvedValue([]) };
+    multi.set.mockReturnValue(multi);
+
+    return {
+      set: jest.fn().mockResolvedValue("OK"),
+      exists: jest.fn().mockResolvedValue(0),
+      multi: jest.fn().mockReturnValue(multi),
+      pending: multi,
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RevokedToken.updateOne.mockReturnValue(query({}));
+    RevokedToken.exists.mockResolvedValue(null);
+  });
+
+  describe("with Redis unavailable", () => {
+    beforeEach(() => {
+      getRedisClient.mockRejectedValue(new Error("Redis is not connected"));
+    });
+
+    test("should store revocations in MongoDB", async () => {
+      await tokenRevocationRepository.revoke("jti-1", "alice", exp());
+
+      expect(RevokedToken.updateOne).toHaveBeenCalledWith(
+        { jti: "jti-1" },
+        expect.any(Object),
+        { upsert: true }
+      );
+    });
+
+    test("should look revocations up in MongoDB", async () => {
+      RevokedToken.exists.mockResolvedValue({ _id: "1" });
+
+      expect(await tokenRevocationRepository.isRevoked("jti-1")).toBe(true);
+      expect(RevokedToken.exists.mock.calls[0][0].jti).toBe("jti-1");
+    });
+  });
+
+  describe("with Redis available", () => {
+    test("should write revocations to both stores", async () => {
+      const redis = redisClient();
+      getRedisClient.mockResolvedValue(redis);
+
+      await tokenRevocationRepository.revoke("jti-1", "alice", exp());
+
+      expect(RevokedToken.updateOne).toHaveBeenCalled();
+      expect(redis.set).toHaveBeenCalledWith(
+        "secure-messaging:revoked-token:jti-1",
+        "alice",
+        { EX: expect.any(Number) }
+      );
+    });
+
+    test("should keep the MongoDB revocation when the Redis write fails", async () => {
+      const redis = redisClient();
+      redis.set.mockRejectedValue(new Error("Connection lost"));
+      getRedisClient.mockResolvedValue(redis);
+
+      await expect(
+        tokenRevocationRepository.revoke("jti-1", "alice", exp())
+      ).resolves.toBeUndefined();
+      expect(RevokedToken.updateOne).toHaveBeenCalled();
+    });
+
+    test("should look revocations up in Redis", async () => {
+      const redis = redisClient();
+      redis.exists.mockResolvedValue(1);
+      getRedisClient.mockResolvedValue(redis);
+
+      expect(await tokenRevocationRepository.isRevoked("jti-1")).toBe(true);
+      expect(RevokedToken.exists).not.toHaveBeenCalled();
+    });
+
+    test("should fall back to MongoDB when a Redis lookup fails", async () => {
+      const redis = redisClient();
+      redis.exists.mockRejectedValue(new Error("Connection lost"));
+      getRedisClient.mockResolvedValue(redis);
+      RevokedToken.exists.mockResolvedValue({ _id: "1" });
+
+      expect(await tokenRevocationRepository.isRevoked("jti-1")).toBe(true);
+    });
+  });
+
+  describe("after Redis reconnects", () => {
+    test("should copy unexpired revocations into Redis", async () => {
+      const redis = redisClient();
+      const expiresAt = new Date(Date.now() + 600000);
+      RevokedToken.find.mockReturnValue(
+        query([{ jti: "jti-1", username: "alice", expiresAt }])
+      );
+
+      await syncToRedis(redis);
+
+      expect(RevokedToken.find.mock.calls[0][0].expiresAt.$gt).toBeInstanceOf(
+        Date
+      );
+      const [key, value, options] = redis.pending.set.mock.calls[0];
+      expect(key).toBe("secure-messaging:revoked-token:jti-1");
+      expect(value).toBe("alice");
+      expect(options.EX).toBeGreaterThan(590);
+      expect(options.EX).toBeLessThanOrEqual(600);
+      expect(redis.pending.exec).toHaveBeenCalled();
+    });
+
+    test("should skip Redis when there is nothing to copy", async () => {
+      const redis = redisClient();
+      RevokedToken.find.mockReturnValue(query([]));
+
+      await syncToRedis(redis);
+
+      expect(redis.multi).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/services/SessionService", () => ({}));
+jest.mock("../src/repositories/TokenRevocationRepository", () => ({
+  revoke: jest.fn().mockResolvedValue(),
+  isRevoked: jest.fn().mockResolvedValue(false),
+}));
+jest.mock("../src/services/ClusterBus", () => {
+  const EventEmitter = require("events");
+  const bus = new EventEmitter();
+  bus.publish = jest.fn();
+  return bus;
+});
+
+// The middleware's cache cleanup timers would keep Jest running
+jest.useFakeTimers({ doNotFake: ["Date"] });
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { JWT_SECRET } = require("../src/config/auth.config");
+const tokenRevocationRepository = require("../src/repositories/TokenRevocationRepository");
+const clusterBus = require("../src/services/ClusterBus");
+const tokenRevocationService = require("../src/services/TokenRevocationService");
+const { verifyToken, blacklistToken } = require("../src/middleware/auth");
+
+describe("Token Revocation", () => {
+  const signToken = (username) =>
+    jwt.sign({ username, sid: "s1" }, JWT_SECRET, {
+      expiresIn: "15m",
+      jwtid: crypto.randomUUID(),
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenRevocationService.cache.clear();
+  });
+
+  test("should revoke only the token that was logged out", async () => {
+    const revoked = signToken("alice");
+    const other = signToken("alice");
+
+    expect(await blacklistToken(revoked)).toBe(true);
+
+    await expect(verifyToken(revoked)).rejects.toThrow(
+      "Token has been revoked"
+    );
+    await expect(verifyToken(other)).resolves.toMatchObject({
+      username: "alice",
+    });
+  });
+
+  test("should store and broadcast revocations by jti", async () => {
+    const token = signToken("alice");
+    const { jti, exp } = jwt.decode(token);
+
+    await blacklistToken(token);
+
+    expect(tokenRevocationRepository.revoke).toHaveBeenCalledWith(
+      jti,
+      "alice",
+      exp
+    );
+    expect(clusterBus.publish).toHaveBeenCalledWith("token-revoked", {
+      jti,
+      exp,
+    });
+  });
+
+  test("should reject tokens revoked on another worker without a lookup", async () => {
+    const token = signToken("alice");
+    const { jti, exp } = jwt.decode(token);
+
+    clusterBus.emit("token-revoked", { jti, exp });
+
+    await expect(verifyToken(token)).rejects.toThrow("Token has been revoked");
+    expect(tokenRevocationRepository.isRevoked).not.toHaveBeenCalled();
+  });
+
+  test("should find revocations in the shared store after a restart", async () => {
+    tokenRevocationRepository.isRevoked.mockResolvedValueOnce(true);
+
+    await expect(verifyToken(signToken("alice"))).rejects.toThrow(
+      "Token has been revoked"
+    );
+  });
+
+  test("should reject tokens without a jti", async () => {
+    const token = jwt.sign({ username: "alice", sid: "s1" }, JWT_SECRET, {
+      expiresIn: "15m",
+    });
+
+    await expect(verifyToken(token)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock("../src/middleware/auth", () => ({
+  verifyToken: jest.fn(),
+  blacklistToken: jest.fn(),
+}));
+jest.mock("../src/repositories/UserRepository", () => ({
+  getTokenFromCache: jest.fn(),
+  findByUsername: jest.fn(),
+  cacheToken: jest.fn(),
+}));
+jest.mock("../src/repositories/RefreshTokenRepository", () => ({}));
+jest.mock("../src/repositories/SessionRepository", () => ({}));
+jest.mock("../src/services/SessionService", () => ({
+  isActive: jest.fn(),
+}));
+
+const { verifyToken } = require("../src/middleware/auth");
+const userRepository = require("../src/repositories/UserRepository");
+const sessionService = require("../src/services/SessionService");
+const authController = require("../src/controllers/AuthController");
+
+describe("Token Verification Endpoint", () => {
+  const verify = (token) => ({ body: { token }, ip: "::1" });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    verifyToken.mockResolvedValue({
+      username: "alice",
+      sid: "s1",
+      exp: Math.floor(Date.now() / 1000) + 900,
+    });
+    sessionService.isActive.mockResolvedValue(true);
+    userRepository.getTokenFromCache.mockResolvedValue(null);
+    userRepository.findByUsername.mockResolvedValue({ username: "alice" });
+    userRepository.cacheToken.mockResolvedValue();
+  });
+
+  test("should accept a token from an active session", async () => {
+    const res = mockResponse();
+    await authController.verifyToken(verify("token"), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ valid: true });
+    expect(sessionService.isActive).toHaveBeenCalledWith("s1", "alice", "::1");
+  });
+
+  test("should reject a token whose session was logged out", async () => {
+    sessionService.isActive.mockResolvedValue(false);
+
+    const res = mockResponse();
+    await authController.verifyToken(verify("token"), res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ valid: false });
+  });
+
+  test("should check the session even when the token is cached", async () => {
+    userRepository.getTokenFromCache.mockResolvedValue({ valid: true });
+    sessionService.isActive.mockResolvedValue(false);
+
+    const res = mockResponse();
+    await authController.verifyToken(verify("token"), res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test("should reject tokens without a session", async () => {
+    verifyToken.mockResolvedValue({ username: "alice" });
+
+    const res = mockResponse();
+    await authController.verifyToken(verify("token"), res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(sessionService.isActive).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+const {
+  usageDay,
+  nextUsageDay,
+  messageSize,
+  storedBytesFrom,
+} = require("../src/utils/usage");
+
+describe("Usage Quotas", () => {
+  const now = new Date("2024-03-13T22:30:00.000Z");
+
+  test("should count usage per UTC day", () => {
+    expect(usageDay(now)).toBe("2024-03-13");
+    expect(nextUsageDay(now)).toEqual(new Date("2024-03-14T00:00:00.000Z"));
+  });
+
+  test("should size a message by its ciphertext and key envelopes", () => {
+    const message = {
+      encryptedContent: "a".repeat(100),
+      iv: "b".repeat(16),
+      recipientKeys: { bob: "key" },
+      recipients: ["bob"],
+    };
+
+    expect(messageSize(message)).toBe(
+      116 + JSON.stringify({ bob: "key" }).length + '["bob"]'.length
+    );
+    expect(
+      messageSize({
+        ...message,
+        attachments: [{ attachmentId: "1", recipientKeys: { bob: "k" } }],
+      })
+    ).toBeGreaterThan(messageSize(message));
+  });
+
+  test("should only count stored bytes that have not expired", () => {
+    const buckets = {
+      "2024-03-12": 500,
+      "2024-03-13": 200,
+      "2024-06-11": 300,
+    };
+
+    expect(storedBytesFrom(buckets, "2024-03-13")).toBe(500);
+    expect(storedBytesFrom(buckets, "2024-03-14")).toBe(300);
+    expect(storedBytesFrom(undefined, "2024-03-13")).toBe(0);
+  });
+});
@@ -0,0 +1,233 @@
+jest.mock("../src/models/Message", () => ({
+  updateMany: jest.fn(),
+}));
+jest.mock("../src/models/User", () => ({}));
+jest.mock("../src/models/MessageReceipt", () => ({
+  updateMany: jest.fn(),
+}));
+jest.mock("../src/repositories/MessageRepository", () => ({
+  getMessageById: jest.fn(),
+  getMessageVersions: jest.fn(),
+  markDelivered: jest.fn(),
+  findViewOnce: jest.fn(),
+  markViewed: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({}));
+jest.mock("../src/repositories/IdempotencyRepository", () => ({}));
+jest.mock("../src/repositories/AttachmentRepository", () => ({}));
+jest.mock("../src/repositories/UsageRepository", () => ({}));
+jest.mock("../src/services/ClusterBus", () => {
+  const EventEmitter = require("events");
+  const bus = new EventEmitter();
+  bus.publish = jest.fn();
+  return bus;
+});
+jest.mock("../src/services/MessageOutbox", () => jest.fn());
+
+const mongoose = require("mongoose");
+
+// The service's batch and cleanup timers would keep Jest running
+jest.useFakeTimers({ doNotFake: ["Date"] });
+
+const Message = require("../src/models/Message");
+const messageRepository = require("../src/repositories/MessageRepository");
+const clusterBus = require("../src/services/ClusterBus");
+const messageService = require("../src/services/MessageService");
+const messageController = require("../src/controllers/MessageController");
+
+const MessageRepository = jest.requireActual(
+  "../src/repositories/MessageRepository"
+);
+
+describe("View-Once Messages", () => {
+  const viewedAt = new Date();
+
+  const viewOnceMessage = (recipients = ["bob"]) => ({
+    _id: new mongoose.Types.ObjectId(),
+    sender: "alice",
+    recipients,
+    encryptedContent: "ciphertext",
+    iv: "iv",
+    recipientKeys: Object.fromEntries(
+      ["alice", ...recipients].map((username) => [username, `key-${username}`])
+    ),
+    attachments: [],
+    viewOnce: true,
+    timestamp: new Date(),
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    res.set = jest.fn().mockReturnValue(res);
+    res.setHeader = jest.fn();
+    return res;
+  };
+
+  const viewedEvents = () =>
+    clusterBus.publish.mock.calls.filter(
+      ([kind, payload]) =>
+        kind === "event" && payload.payload.type === "message-viewed"
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    messageService.messageQueue = [];
+    messageService.messageBatch = [];
+    messageRepository.markViewed.mockResolvedValue(viewedAt);
+    messageRepository.markDelivered.mockResolvedValue([]);
+    messageRepository.findViewOnce.mockResolvedValue([]);
+  });
+
+  describe("consuming", () => {
+    test("should consume a message fetched through GET /:messageId", async () => {
+      const message = viewOnceMessage();
+      messageRepository.getMessageById.mockResolvedValue(message);
+
+      const res = mockResponse();
+      await messageController.getMessageById(
+        {
+          params: { messageId: message._id.toString() },
+          user: { username: "bob" },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(messageRepository.markViewed).toHaveBeenCalledWith(
+        [message._id.toString()],
+        "bob"
+      );
+      expect(viewedEvents()).toHaveLength(1);
+    });
+
+    test("should consume a message handed out by a poll", async () => {
+      const message = viewOnceMessage();
+      jest.spyOn(messageService, "isAtCapacity").mockReturnValue(false);
+      jest
+        .spyOn(messageService, "findUndeliveredMessage")
+        .mockResolvedValue({ message, messageId: message._id.toString() });
+
+      const res = mockResponse();
+      await messageController.pollMessages(
+        { query: {}, user: { username: "bob" }, setTimeout: jest.fn() },
+        res
+      );
+
+      expect(res.json.mock.calls[0][0].data.encryptedContent).toBe(
+        "ciphertext"
+      );
+      expect(messageRepository.markViewed).toHaveBeenCalledWith(
+        [message._id.toString()],
+        "bob"
+      );
+    });
+
+    test("should consume stored messages when they are acknowledged", async () => {
+      const message = viewOnceMessage();
+      messageRepository.findViewOnce.mockResolvedValue([
+        {
+          _id: message._id,
+          sender: "alice",
+          recipients: ["bob"],
+          recipientKeys: message.recipientKeys,
+        },
+      ]);
+
+      await messageService.acknowledgeMessages([message._id.toString()], "bob");
+
+      expect(messageRepository.markViewed).toHaveBeenCalledWith(
+        [message._id.toString()],
+        "bob"
+      );
+      expect(viewedEvents()[0][1].usernames).toEqual(["alice"]);
+    });
+
+    test("should not consume a message the caller has seen or sent", async () => {
+      const seen = viewOnceMessage();
+      delete seen.recipientKeys.bob;
+
+      await messageService.consumeViewOnce([seen], "bob");
+      await messageService.consumeViewOnce([viewOnceMessage()], "alice");
+
+      expect(messageRepository.markViewed).not.toHaveBeenCalled();
+    });
+
+    test("should not hand out the content through version history", async () => {
+      const message = viewOnceMessage();
+      messageRepository.getMessageVersions.mockResolvedValue(message);
+
+      const res = mockResponse();
+      await messageController.getMessageVersions(
+        {
+          params: { messageId: message._id.toString() },
+          user: { username: "bob" },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].current).toBeUndefined();
+      expect(messageRepository.markViewed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("withholding", () => {
+    test("should withhold content from recipients in history", () => {
+      const received = viewOnceMessage();
+      received.attachments = [
+        { attachmentId: "1", recipientKeys: { bob: "attachment-key" } },
+      ];
+      const sent = viewOnceMessage();
+
+      MessageRepository.withholdViewOnce([received], "bob");
+      MessageRepository.withholdViewOnce([sent], "alice");
+
+      expect(received.encryptedContent).toBeUndefined();
+      expect(received.iv).toBeUndefined();
+      expect(received.recipientKeys).toBeUndefined();
+      expect(received.attachments[0].recipientKeys).toBeUndefined();
+      expect(sent.encryptedContent).toBe("ciphertext");
+    });
+  });
+
+  describe("purging", () => {
+    test("should purge a queued message once the last recipient viewed it", () => {
+      const message = viewOnceMessage(["bob", "carol"]);
+      messageService.messageQueue.push(message);
+      const messageId = message._id.toString();
+
+      messageService.markViewedInQueue(messageId, "bob");
+
+      expect(message.recipientKeys.bob).toBeUndefined();
+      expect(message.encryptedContent).toBe("ciphertext");
+
+      messageService.markViewedInQueue(messageId, "carol");
+
+      expect(message.encryptedContent).toBeUndefined();
+      expect(message.iv).toBeUndefined();
+      expect(message.recipientKeys).toEqual({});
+      expect(message.contentPurgedAt).toBeInstanceOf(Date);
+    });
+
+    test("should purge stored ciphertext once every recipient viewed it", async () => {
+      Message.updateMany.mockReturnValue({ exec: jest.fn() });
+      const MessageReceipt = require("../src/models/MessageReceipt");
+      MessageReceipt.updateMany.mockReturnValue({ exec: jest.fn() });
+      const messageId = new mongoose.Types.ObjectId().toString();
+
+      await MessageRepository.markViewed([messageId], "bob");
+
+      const [, keyUpdate] = Message.updateMany.mock.calls[1];
+      expect(keyUpdate.$unset).toEqual({ "recipientKeys.bob": "" });
+
+      const [purgeFilter, purge] = Message.updateMany.mock.calls[2];
+      expect(purgeFilter.contentPurgedAt).toBeNull();
+      expect(purgeFilter.$expr.$setIsSubset[1]).toBe("$viewedBy");
+      expect(purge.$unset).toMatchObject({ encryptedContent: "", iv: "" });
+      expect(purge.$set.recipientKeys).toEqual({});
+    });
+  });
+});
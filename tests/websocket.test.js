@@ -0,0 +1,250 @@
+jest.mock("../src/middleware/auth", () => ({
+  verifyToken: jest.fn(),
+  getUser: jest.fn(),
+}));
+jest.mock("../src/repositories/ConversationRepository", () => ({
+  findForMember: jest.fn(),
+}));
+jest.mock("../src/services/SessionService", () => {
+  const EventEmitter = require("events");
+  const sessions = new EventEmitter();
+  sessions.isActive = jest.fn();
+  return sessions;
+});
+jest.mock("../src/services/MessageService", () => ({
+  isAtCapacity: jest.fn(),
+  addStreamClient: jest.fn(),
+  removeClient: jest.fn(),
+  getPendingMessagesForUser: jest.fn(),
+  markMessageSent: jest.fn(),
+  toClientMessage: jest.fn((message) => message),
+  acknowledgeMessages: jest.fn(),
+}));
+
+const EventEmitter = require("events");
+const mongoose = require("mongoose");
+const { WebSocket } = require("ws");
+const { verifyToken, getUser } = require("../src/middleware/auth");
+const sessionService = require("../src/services/SessionService");
+const messageService = require("../src/services/MessageService");
+const webSocketService = require("../src/services/WebSocketService");
+const { encodeCursor } = require("../src/utils/cursor");
+
+describe("WebSocket Streams", () => {
+  const mockSocket = () => ({ write: jest.fn(), destroy: jest.fn() });
+
+  const upgrade = ({ query = "?token=token-1", headers = {} } = {}) => ({
+    url: `/api/messages/ws${query}`,
+    headers,
+    socket: { remoteAddress: "127.0.0.1" },
+  });
+
+  const mockWs = () => {
+    const ws = new EventEmitter();
+    ws.readyState = WebSocket.OPEN;
+    ws.send = jest.fn();
+    ws.close = jest.fn();
+    ws.frames = () => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+    return ws;
+  };
+
+  // Completes the handshake with a fake socket, as ws would
+  const connect = async (req = upgrade()) => {
+    const ws = mockWs();
+    jest
+      .spyOn(webSocketService.wss, "handleUpgrade")
+      .mockImplementation((request, socket, head, callback) => callback(ws));
+
+    await webSocketService.handleUpgrade(req, mockSocket(), Buffer.alloc(0));
+    return ws;
+  };
+
+  beforeAll(() => {
+    webSocketService.attach(new EventEmitter());
+  });
+
+  afterAll(() => {
+    webSocketService.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    messageService.isAtCapacity.mockReturnValue(false);
+    messageService.addStreamClient.mockResolvedValue();
+    messageService.getPendingMessagesForUser.mockReturnValue([]);
+    messageService.acknowledgeMessages.mockResolvedValue();
+    verifyToken.mockResolvedValue({ username: "bob", sid: "session-1" });
+    sessionService.isActive.mockResolvedValue(true);
+    getUser.mockResolvedValue({ username: "bob" });
+  });
+
+  describe("authentication", () => {
+    test("should accept a token from the query and register the stream", async () => {
+      const ws = await connect();
+
+      expect(verifyToken).toHaveBeenCalledWith("token-1");
+      expect(sessionService.isActive).toHaveBeenCalledWith(
+        "session-1",
+        "bob",
+        "127.0.0.1"
+      );
+      expect(ws.sessionId).toBe("session-1");
+      expect(ws.frames()[0].type).toBe("connected");
+      expect(messageService.addStreamClient).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ username: "bob", transport: "websocket" })
+      );
+    });
+
+    test("should prefer the Authorization header", async () => {
+      await connect(
+        upgrade({ query: "", headers: { authorization: "Bearer token-2" } })
+      );
+
+      expect(verifyToken).toHaveBeenCalledWith("token-2");
+    });
+
+    test("should refuse an upgrade without a token", async () => {
+      const socket = mockSocket();
+      await webSocketService.handleUpgrade(
+        upgrade({ query: "" }),
+        socket,
+        Buffer.alloc(0)
+      );
+
+      expect(socket.write.mock.calls[0][0]).toMatch(/^HTTP\/1.1 401 /);
+      expect(socket.destroy).toHaveBeenCalled();
+      expect(verifyToken).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a token whose session is no longer active", async () => {
+      sessionService.isActive.mockResolvedValue(false);
+      const handleUpgrade = jest.spyOn(webSocketService.wss, "handleUpgrade");
+
+      const socket = mockSocket();
+      await webSocketService.handleUpgrade(upgrade(), socket, Buffer.alloc(0));
+
+      expect(socket.write.mock.calls[0][0]).toMatch(/^HTTP\/1.1 401 /);
+      expect(handleUpgrade).not.toHaveBeenCalled();
+      expect(getUser).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a token that does not verify", async () => {
+      verifyToken.mockRejectedValue(new Error("invalid signature"));
+
+      const socket = mockSocket();
+      await webSocketService.handleUpgrade(upgrade(), socket, Buffer.alloc(0));
+
+      expect(socket.write.mock.calls[0][0]).toMatch(/^HTTP\/1.1 401 /);
+    });
+  });
+
+  describe("acknowledgements", () => {
+    test("should acknowledge valid message ids and confirm them", async () => {
+      const ws = await connect();
+      const messageId = new mongoose.Types.ObjectId().toString();
+
+      await webSocketService.onMessage(
+        ws,
+        Buffer.from(
+          JSON.stringify({ type: "ack", messageIds: [messageId, "garbage"] })
+        )
+      );
+
+      expect(messageService.acknowledgeMessages).toHaveBeenCalledWith(
+        [messageId],
+        "bob"
+      );
+      expect(ws.frames().pop()).toEqual({
+        type: "ack",
+        messageIds: [messageId],
+      });
+    });
+
+    test("should report an ack that could not be stored", async () => {
+      const ws = await connect();
+      messageService.acknowledgeMessages.mockRejectedValue(
+        new Error("Connection lost")
+      );
+
+      await webSocketService.onMessage(
+        ws,
+        Buffer.from(
+          JSON.stringify({
+            type: "ack",
+            messageId: new mongoose.Types.ObjectId().toString(),
+          })
+        )
+      );
+
+      expect(ws.frames().pop()).toEqual({
+        type: "error",
+        message: "Error acknowledging messages",
+      });
+    });
+  });
+
+  describe("redelivery", () => {
+    test("should resend unacknowledged messages when a stream opens", async () => {
+      const message = {
+        _id: new mongoose.Types.ObjectId(),
+        sender: "alice",
+        recipients: ["bob"],
+        timestamp: new Date(),
+      };
+      messageService.getPendingMessagesForUser.mockReturnValue([message]);
+
+      const ws = await connect();
+
+      expect(messageService.getPendingMessagesForUser).toHaveBeenCalledWith(
+        "bob",
+        null
+      );
+      expect(messageService.markMessageSent).toHaveBeenCalledWith(
+        message._id.toString(),
+        "bob"
+      );
+      const frame = ws.frames().find((frame) => frame.type === "message");
+      expect(frame.data._id).toBe(message._id.toString());
+      expect(frame.cursor).toEqual(expect.any(String));
+    });
+
+    test("should leave catching up to the replay when resuming from a cursor", async () => {
+      const since = encodeCursor({
+        _id: new mongoose.Types.ObjectId(),
+        timestamp: new Date(),
+      });
+
+      await connect(upgrade({ query: `?token=token-1&since=${since}` }));
+
+      expect(messageService.getPendingMessagesForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("revocation", () => {
+    test("should close the streams of a revoked session", async () => {
+      const revoked = await connect();
+      verifyToken.mockResolvedValue({ username: "bob", sid: "session-2" });
+      const other = await connect();
+      webSocketService.wss.clients.add(revoked);
+      webSocketService.wss.clients.add(other);
+
+      sessionService.emit("revoked", ["session-1"]);
+
+      expect(revoked.close).toHaveBeenCalledWith(1008, "Session revoked");
+      expect(other.close).not.toHaveBeenCalled();
+
+      webSocketService.wss.clients.clear();
+    });
+
+    test("should unregister the stream once it closes", async () => {
+      const ws = await connect();
+      const clientId = messageService.addStreamClient.mock.calls[0][0];
+
+      ws.emit("close");
+
+      expect(messageService.removeClient).toHaveBeenCalledWith(clientId);
+    });
+  });
+});